@@ -1,11 +1,19 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
+const multer = require("multer");
+const sharp = require("sharp");
+const cloudinary = require("cloudinary").v2;
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const admin = require("firebase-admin");
 require("dotenv").config();
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 
 const app = express();
+// Behind Vercel's proxy; needed for the real client IP in req.ip
+app.set("trust proxy", 1);
 
 /* ==============================
    CORS Setup
@@ -18,6 +26,8 @@ app.use(cors({
 /* ==============================
    Webhook Setup
 ================================ */
+const STRIPE_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
 app.post("/webhook", express.raw({ type: "application/json" }), async (req, res) => {
   const sig = req.headers["stripe-signature"];
   let event;
@@ -26,7 +36,46 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
   } catch (err) {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
-  res.json({ received: true });
+
+  // Each Stripe event is processed once: the event id is claimed before handling.
+  // A claim still "processing" after STRIPE_CLAIM_TIMEOUT_MS belongs to a run that died mid-handler
+  // (e.g. a serverless timeout) and is taken over by the next delivery.
+  try {
+    await connectDB();
+    const now = new Date();
+    try {
+      await stripeEventsCollection.insertOne({ _id: event.id, type: event.type, status: "processing", receivedAt: now, claimedAt: now });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      const reclaimed = await stripeEventsCollection.updateOne(
+        { _id: event.id, status: "processing", claimedAt: { $lt: new Date(now.getTime() - STRIPE_CLAIM_TIMEOUT_MS) } },
+        { $set: { claimedAt: now }, $inc: { attempts: 1 } }
+      );
+      if (!reclaimed.modifiedCount) {
+        const claim = await stripeEventsCollection.findOne({ _id: event.id }, { projection: { status: 1 } });
+        if (!claim || claim.status === "processing") return res.status(409).json({ message: "Event is being processed" });
+        return res.json({ received: true, duplicate: true });
+      }
+    }
+  } catch (err) {
+    console.error("Webhook Claim Error:", err);
+    return res.status(500).json({ message: "Failed to record event" });
+  }
+
+  try {
+    const handler = stripeEventHandlers[event.type];
+    if (handler) await handler(event);
+    await stripeEventsCollection.updateOne(
+      { _id: event.id },
+      { $set: { status: handler ? "processed" : "ignored", processedAt: new Date() } }
+    );
+    res.json({ received: true });
+  } catch (err) {
+    // Release the claim so Stripe's retry can process the event again
+    console.error(`Webhook Handler Error (${event.type}):`, err);
+    await stripeEventsCollection.deleteOne({ _id: event.id });
+    res.status(500).json({ message: "Webhook handler failed" });
+  }
 });
 
 /* ==============================
@@ -34,6 +83,75 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
 ================================ */
 app.use(express.json());
 
+/* ==============================
+   File Storage
+================================ */
+// Every upload goes through one adapter, picked with STORAGE_DRIVER=local|cloudinary
+// (cloudinary by default on Vercel, whose filesystem is read-only and not persistent).
+// save(buffer, { folder, filename }) -> { key, url }; remove(key) takes the key save returned.
+// URLs are stored in user and lesson documents, so the local driver needs the public SERVER_URL.
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (process.env.VERCEL ? "cloudinary" : "local");
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+const SERVER_URL = process.env.SERVER_URL?.replace(/\/+$/, "");
+
+if (STORAGE_DRIVER === "local") {
+  if (process.env.VERCEL) throw new Error("STORAGE_DRIVER=local cannot be used on Vercel; use cloudinary");
+  if (!SERVER_URL) throw new Error("SERVER_URL must be set to the server's public URL when STORAGE_DRIVER=local");
+}
+
+const localStorageAdapter = {
+  name: "local",
+  async save(buffer, { folder, filename }) {
+    const dir = path.join(UPLOADS_DIR, folder);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, filename), buffer);
+    const key = `${folder}/${filename}`;
+    return { key, url: `${SERVER_URL}/uploads/${key}` };
+  },
+  async remove(key) {
+    await fs.promises.rm(path.join(UPLOADS_DIR, key), { force: true });
+  },
+  // Every stored file as { key, modifiedAt }; used by the garbage collector to find untracked files
+  async list() {
+    const entries = await fs.promises.readdir(UPLOADS_DIR, { recursive: true, withFileTypes: true }).catch(() => []);
+    return Promise.all(
+      entries
+        .filter(entry => entry.isFile())
+        .map(async (entry) => {
+          const fullPath = path.join(entry.parentPath || entry.path, entry.name);
+          const { mtime } = await fs.promises.stat(fullPath);
+          return { key: path.relative(UPLOADS_DIR, fullPath).split(path.sep).join("/"), modifiedAt: mtime };
+        })
+    );
+  },
+};
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const cloudinaryStorageAdapter = {
+  name: "cloudinary",
+  save(buffer, { folder, filename }) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder: `wisdom_vault/${folder}`, public_id: path.parse(filename).name, resource_type: "image" },
+        (err, result) => (err ? reject(err) : resolve({ key: result.public_id, url: result.secure_url }))
+      );
+      stream.end(buffer);
+    });
+  },
+  async remove(key) {
+    await cloudinary.uploader.destroy(key, { resource_type: "image" });
+  },
+};
+
+const fileStorage = STORAGE_DRIVER === "cloudinary" ? cloudinaryStorageAdapter : localStorageAdapter;
+
+app.use("/uploads", express.static(UPLOADS_DIR, { maxAge: "30d", immutable: true }));
+
 /* ==============================
    Firebase Setup
 ================================ */
@@ -59,18 +177,114 @@ const client = new MongoClient(uri, {
   serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true },
 });
 
-let db;
-let usersCollection, postsCollection, publicLessonsCollection, myLessonsCollection;
+let db, dbReady;
+let usersCollection, postsCollection, lessonsCollection, commentsCollection, reportsCollection;
+let paymentsCollection, stripeEventsCollection, plansCollection, auditLogCollection, uploadsCollection, followsCollection;
+
+async function initDB() {
+  await client.connect();
+  db = client.db("wisdomVaultDB");
+  usersCollection = db.collection("users");
+  postsCollection = db.collection("posts");
+  lessonsCollection = db.collection("lessons");
+  commentsCollection = db.collection("comments");
+  reportsCollection = db.collection("lesson-reports");
+  paymentsCollection = db.collection("payments");
+  stripeEventsCollection = db.collection("stripe-events");
+  plansCollection = db.collection("plans");
+  auditLogCollection = db.collection("audit-log");
+  uploadsCollection = db.collection("uploads");
+  // Reporters anonymized by account deletion have a null email and are left out of the constraint
+  await reportsCollection
+    .createIndex(
+      { lessonId: 1, "reporter.email": 1 },
+      {
+        name: "lesson_reporter_pending",
+        unique: true,
+        partialFilterExpression: { status: "pending", "reporter.email": { $type: "string" } },
+      }
+    )
+    .catch(err => console.error("Reports index setup failed:", err.message));
+  followsCollection = db.collection("follows");
+  await Promise.all([
+    followsCollection.createIndex({ followerEmail: 1, followingEmail: 1 }, { unique: true }),
+    followsCollection.createIndex({ followingEmail: 1 }),
+  ]).catch(err => console.error("Follows index setup failed:", err.message));
+  await postsCollection
+    .createIndex({ tags: 1, createdAt: -1 })
+    .catch(err => console.error("Posts index setup failed:", err.message));
+  await uploadsCollection
+    .createIndex({ ownerUid: 1, kind: 1, hash: 1 }, { unique: true })
+    .catch(err => console.error("Uploads index setup failed:", err.message));
+  await lessonsCollection
+    .createIndex(
+      { title: "text", shortDescription: "text", fullDescription: "text", category: "text" },
+      { name: "lesson_text_search", weights: { title: 10, category: 5, shortDescription: 3, fullDescription: 1 } }
+    )
+    .catch(err => console.error("Text index setup failed:", err.message));
+  await mergeLessonCollections();
+  console.log("✅ MongoDB Connected");
+}
+
+// Every caller shares one connection attempt, so nothing runs before setup and migrations finish
+function connectDB() {
+  if (!dbReady) {
+    dbReady = initDB().catch((err) => {
+      dbReady = null;
+      throw err;
+    });
+  }
+  return dbReady;
+}
+
+/* ==============================
+   Migrations
+================================ */
+// Lessons used to be written twice, to "public-lesson" and "my-lessons", and the copies drifted.
+// Both are merged into "lessons" once. Where a lesson exists in both, the public copy wins because
+// it is the one readers and admins acted on. my-lessons copies whose creator no longer exists
+// (left behind by admin user deletion) are dropped. The old collections stay as a backup.
+const LESSON_MERGE_MIGRATION = "merge-lesson-collections";
+const MIGRATION_BATCH_SIZE = 500;
+
+async function mergeLessonCollections() {
+  const migrations = db.collection("migrations");
+  if (await migrations.findOne({ _id: LESSON_MERGE_MIGRATION })) return;
+
+  const report = { fromPublic: 0, fromMyLessonsOnly: 0, skippedOrphans: 0 };
+  const activeCreators = new Set(await usersCollection.distinct("email"));
+
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return 0;
+    const result = await lessonsCollection.bulkWrite(batch, { ordered: false });
+    batch = [];
+    return result.upsertedCount;
+  };
+
+  for await (const lesson of db.collection("public-lesson").find()) {
+    batch.push({ replaceOne: { filter: { _id: lesson._id }, replacement: lesson, upsert: true } });
+    report.fromPublic++;
+    if (batch.length >= MIGRATION_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  for await (const { _id, ...lesson } of db.collection("my-lessons").find()) {
+    if (!activeCreators.has(lesson.creator?.email)) {
+      report.skippedOrphans++;
+      continue;
+    }
+    batch.push({ updateOne: { filter: { _id }, update: { $setOnInsert: lesson }, upsert: true } });
+    if (batch.length >= MIGRATION_BATCH_SIZE) report.fromMyLessonsOnly += await flush();
+  }
+  report.fromMyLessonsOnly += await flush();
 
-async function connectDB() {
-  if (!db) {
-    await client.connect();
-    db = client.db("wisdomVaultDB");
-    usersCollection = db.collection("users");
-    postsCollection = db.collection("posts");
-    publicLessonsCollection = db.collection("public-lesson");
-    myLessonsCollection = db.collection("my-lessons");
-    console.log("✅ MongoDB Connected");
+  try {
+    await migrations.insertOne({ _id: LESSON_MERGE_MIGRATION, report, completedAt: new Date() });
+    console.log("🔀 Lesson collections merged:", report);
+  } catch (err) {
+    // Another instance finished the same migration first
+    if (err.code !== 11000) throw err;
   }
 }
 
@@ -114,24 +328,500 @@ const verifyFirebaseToken = async (req, res, next) => {
   }
 };
 
+// Scheduled job endpoints are called by Vercel Cron, which sends "Authorization: Bearer <CRON_SECRET>"
+const verifyCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) return res.status(401).json({ message: "Unauthorized" });
+  next();
+};
+
+// Same as verifyFirebaseToken but lets anonymous callers through (req.decoded stays undefined)
+const optionalFirebaseToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith("Bearer ")) return next();
+  try {
+    const token = authHeader.split(" ")[1];
+    req.decoded = await admin.auth().verifyIdToken(token);
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+};
+
+/* ==============================
+   Role Guard Middleware
+================================ */
+const ROLES = ["user", "premium", "moderator", "admin"];
+
+// Roles come from the token's claims without extra round trips, except when the claim grants
+// moderator or admin: then the token is re-checked for revocation (one Firebase Auth call), because
+// demotions and account deletion revoke refresh tokens and a stale privileged token must stop working.
+// A plain role claim never grants anything here, so it is taken as is.
+// Tokens minted before claims existed fall back to the user document.
+const PRIVILEGED_ROLES = ["moderator", "admin"];
+const REVOKED_TOKEN_ERRORS = ["auth/id-token-revoked", "auth/user-disabled", "auth/user-not-found"];
+
+const verifiedRole = async (req) => {
+  const claimedRole = req.decoded.role;
+  if (claimedRole === undefined) {
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    return user?.status === "pending_deletion" ? null : user?.role;
+  }
+  if (!PRIVILEGED_ROLES.includes(claimedRole)) return claimedRole;
+  req.decoded = await admin.auth().verifyIdToken(req.headers.authorization.split(" ")[1], true);
+  return req.decoded.role;
+};
+
+// Runs after verifyFirebaseToken
+const requireRole = (...allowedRoles) => async (req, res, next) => {
+  try {
+    let role;
+    try {
+      role = await verifiedRole(req);
+    } catch (err) {
+      if (REVOKED_TOKEN_ERRORS.includes(err.code)) return res.status(401).json({ message: "Session revoked, please sign in again" });
+      throw err;
+    }
+    if (!allowedRoles.includes(role)) {
+      console.warn(
+        `🚫 Forbidden: ${req.decoded.email} (role: ${role || "none"}) tried ${req.method} ${req.originalUrl}`
+      );
+      return res.status(403).json({ message: "Forbidden" });
+    }
+    next();
+  } catch (error) {
+    console.error("Role Check Error:", error);
+    res.status(500).json({ message: "Failed to verify role" });
+  }
+};
+
+const verifyAdmin = [verifyFirebaseToken, requireRole("admin")];
+const verifyModerator = [verifyFirebaseToken, requireRole("moderator", "admin")];
+
+/* ==============================
+   Firebase Custom Claims
+================================ */
+// Role and premium status are mirrored into custom claims so routes can authorize from the token alone.
+// Claims reach the client on its next token refresh (getIdToken(true)).
+const buildClaims = (user) => ({
+  role: user.role || "user",
+  premium: hasPremiumAccess(user),
+  premiumUntil: user.premiumUntil ? Math.floor(new Date(user.premiumUntil).getTime() / 1000) : null,
+});
+
+// Losing a role or premium revokes refresh tokens, so the old claims stop working before the ID token expires
+const isClaimsDowngrade = (previous = {}, next) =>
+  ROLES.indexOf(next.role) < ROLES.indexOf(previous.role || "user") || (previous.premium === true && !next.premium);
+
+const syncUserClaims = async (email) => {
+  try {
+    const user = await usersCollection.findOne({ email });
+    if (!user?.uid) return null;
+    const claims = buildClaims(user);
+    const { customClaims } = await admin.auth().getUser(user.uid);
+    await admin.auth().setCustomUserClaims(user.uid, claims);
+    if (isClaimsDowngrade(customClaims, claims)) await admin.auth().revokeRefreshTokens(user.uid);
+    await usersCollection.updateOne({ _id: user._id }, { $set: { claimsUpdatedAt: new Date() } });
+    return claims;
+  } catch (err) {
+    console.error(`Claims Sync Error (${email}):`, err.message);
+    return null;
+  }
+};
+
+// Premium check straight from a decoded token; undefined when the token carries no claims yet
+const tokenHasPremium = (decoded) => {
+  if (decoded?.premium === undefined) return undefined;
+  return decoded.premium === true && (!decoded.premiumUntil || decoded.premiumUntil * 1000 > Date.now());
+};
+
+/* ==============================
+   Audit Log
+================================ */
+// Append-only record of privileged actions: nothing in this server updates or deletes audit entries.
+// A failed audit write is logged but never fails the request itself.
+const recordAudit = (req, { action, target, before = null, after = null, details = {} }) =>
+  auditLogCollection
+    .insertOne({
+      actor: { email: req.decoded?.email || null, uid: req.decoded?.uid || null, role: req.decoded?.role || null },
+      action,
+      target,
+      before,
+      after,
+      details,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || "",
+      createdAt: new Date(),
+    })
+    .catch((err) => console.error("Audit Log Error:", err));
+
+// Just the fields worth diffing in the audit log
+const userAuditSnapshot = (user) =>
+  user ? { email: user.email, name: user.name, role: user.role, isPremium: user.isPremium } : null;
+
+const lessonAuditSnapshot = (lesson) =>
+  lesson
+    ? {
+        title: lesson.title,
+        visibility: lesson.visibility,
+        accessLevel: lesson.accessLevel,
+        creator: lesson.creator?.email,
+      }
+    : null;
+
+/* ==============================
+   Lesson Ownership Middleware
+================================ */
+// Loads the lesson into req.lesson when the caller created it; admins may act on any lesson
+const requireLessonOwner = async (req, res, next) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+
+    const lesson = await lessonsCollection.findOne({ _id: new ObjectId(id) });
+    if (!lesson) return res.status(404).json({ message: "Lesson not found" });
+
+    const { uid, email } = req.decoded;
+    const isOwner = lesson.creator?.uid === uid || lesson.creator?.email === email;
+    if (!isOwner) {
+      const role = await verifiedRole(req).catch(() => null);
+      if (role !== "admin") {
+        console.warn(`🚫 Forbidden: ${email} tried ${req.method} ${req.originalUrl} on a lesson owned by ${lesson.creator?.email}`);
+        await recordAudit(req, {
+          action: "lesson.access_denied",
+          target: { type: "lesson", id: lesson._id, owner: lesson.creator?.email },
+          details: { method: req.method, path: req.originalUrl },
+        });
+        return res.status(403).json({ message: "You can only modify your own lessons" });
+      }
+      req.isAdminOverride = true;
+    }
+
+    req.lesson = lesson;
+    next();
+  } catch (error) {
+    console.error("Ownership Check Error:", error);
+    res.status(500).json({ message: "Failed to verify lesson ownership" });
+  }
+};
+
+/* ==============================
+   Image Upload Middleware
+================================ */
+const ALLOWED_IMAGE_TYPES = { "image/jpeg": "jpeg", "image/png": "png", "image/webp": "webp" };
+
+const IMAGE_RULES = {
+  lesson: { folder: "lessons", maxBytes: 5 * 1024 * 1024, minWidth: 300, minHeight: 200, maxWidth: 8000, maxHeight: 8000 },
+  avatar: { folder: "profile", maxBytes: 2 * 1024 * 1024, minWidth: 64, minHeight: 64, maxWidth: 4000, maxHeight: 4000 },
+};
+
+// Every upload is re-encoded to these WebP variants; "cover" crops to the exact box, "inside" only scales down
+const IMAGE_VARIANTS = {
+  lesson: {
+    thumb: { width: 320, height: 200, fit: "cover" },
+    card: { width: 800, height: 500, fit: "cover" },
+    full: { width: 1920, height: 1920, fit: "inside" },
+  },
+  avatar: {
+    thumb: { width: 64, height: 64, fit: "cover" },
+    card: { width: 256, height: 256, fit: "cover" },
+    full: { width: 1024, height: 1024, fit: "inside" },
+  },
+};
+const WEBP_QUALITY = 80;
+
+// Total bytes of stored variants a user may hold, by tier
+const STORAGE_QUOTAS = { free: 25 * 1024 * 1024, premium: 250 * 1024 * 1024 };
+
+const storageUsage = async (user) => {
+  const [usage] = await uploadsCollection
+    .aggregate([{ $match: { ownerUid: user.uid } }, { $group: { _id: null, bytes: { $sum: "$totalBytes" }, files: { $sum: 1 } } }])
+    .toArray();
+  const tier = hasPremiumAccess(user) ? "premium" : "free";
+  return { tier, usedBytes: usage?.bytes || 0, quotaBytes: STORAGE_QUOTAS[tier], uploads: usage?.files || 0 };
+};
+
+// Parses one multipart image field into req.file (kept in memory); JSON requests pass straight through
+const acceptImage = (field, kind) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_RULES[kind].maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (ALLOWED_IMAGE_TYPES[file.mimetype]) return cb(null, true);
+      cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", field));
+    },
+  }).single(field);
+
+  return (req, res, next) =>
+    upload(req, res, (err) => {
+      if (!err) return next();
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ message: `Image must be at most ${IMAGE_RULES[kind].maxBytes / 1024 / 1024} MB` });
+      }
+      if (err.code === "LIMIT_UNEXPECTED_FILE") {
+        return res.status(400).json({ message: `Upload a JPEG, PNG or WebP image in the "${field}" field` });
+      }
+      console.error("Upload Parse Error:", err);
+      res.status(400).json({ message: "Invalid upload" });
+    });
+};
+
+// Re-encoding drops EXIF/GPS and other metadata; rotate() first bakes the EXIF orientation into the pixels
+const renderVariant = (buffer, { width, height, fit }) =>
+  sharp(buffer)
+    .rotate()
+    .resize({ width, height, fit, withoutEnlargement: true })
+    .webp({ quality: WEBP_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+
+// Checks the real image content and the owner's quota, then stores every variant and tracks them in "uploads".
+// Returns { error, status? } or { urls: { thumb, card, full }, variants, ... }.
+// Names are derived from the content hash, so retrying the same upload reuses the same files and record.
+const storeImage = async (file, kind, owner) => {
+  const rules = IMAGE_RULES[kind];
+  const ownerUid = owner.uid;
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch {
+    return { error: "File is not a readable image" };
+  }
+
+  const format = ALLOWED_IMAGE_TYPES[file.mimetype];
+  if (metadata.format !== format) return { error: "Image content does not match its file type" };
+  const { width, height } = metadata;
+  if (width < rules.minWidth || height < rules.minHeight) {
+    return { error: `Image must be at least ${rules.minWidth}x${rules.minHeight} pixels` };
+  }
+  if (width > rules.maxWidth || height > rules.maxHeight) {
+    return { error: `Image must be at most ${rules.maxWidth}x${rules.maxHeight} pixels` };
+  }
+
+  const hash = crypto.createHash("sha256").update(file.buffer).digest("hex").slice(0, 16);
+  const existing = await uploadsCollection.findOne({ ownerUid, kind, hash });
+  if (existing) {
+    await uploadsCollection.updateOne({ _id: existing._id }, { $set: { lastUploadedAt: new Date() } });
+    return { urls: existing.urls, variants: existing.variants, storage: existing.storage, contentType: existing.contentType, original: existing.original };
+  }
+
+  // Render first so the quota is checked against the bytes actually stored; nothing is saved if it does not fit.
+  // One variant at a time keeps peak memory to a single decoded image.
+  const rendered = [];
+  for (const [name, box] of Object.entries(IMAGE_VARIANTS[kind])) {
+    rendered.push({ name, ...(await renderVariant(file.buffer, box)) });
+  }
+  const totalBytes = rendered.reduce((sum, { info }) => sum + info.size, 0);
+
+  const user = (await usersCollection.findOne({ email: owner.email })) || { uid: ownerUid };
+  const { usedBytes, quotaBytes, tier } = await storageUsage({ ...user, uid: ownerUid });
+  if (usedBytes + totalBytes > quotaBytes) {
+    return { status: 413, error: `Storage quota exceeded (${tier} plan allows ${quotaBytes / 1024 / 1024} MB)` };
+  }
+
+  const variants = {};
+  const urls = {};
+  for (const { name, data, info } of rendered) {
+    const stored = await fileStorage.save(data, { folder: rules.folder, filename: `${ownerUid}-${hash}-${name}.webp` });
+    variants[name] = { ...stored, width: info.width, height: info.height, size: info.size };
+    urls[name] = stored.url;
+  }
+
+  const record = {
+    ownerUid,
+    ownerEmail: owner.email,
+    kind,
+    hash,
+    storage: fileStorage.name,
+    contentType: "image/webp",
+    urls,
+    variants,
+    totalBytes,
+    original: { width, height, size: file.size },
+    createdAt: new Date(),
+    lastUploadedAt: new Date(),
+  };
+  // A concurrent retry of the same file may have inserted the record first; the files are identical either way
+  await uploadsCollection.insertOne(record).catch((err) => {
+    if (err.code !== 11000) throw err;
+  });
+
+  return { urls, variants, storage: record.storage, contentType: record.contentType, original: record.original };
+};
+
+/* ---------- UPLOAD GARBAGE COLLECTION ---------- */
+// An upload is garbage once no user photo, lesson image or denormalized avatar copy
+// (lesson creator, comment author) points at any of its variants.
+// Fresh uploads get a grace period because the file is stored before the document referencing it is written.
+const UPLOAD_GC_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const UPLOAD_GC_GRACE_MS = 60 * 60 * 1000;
+
+// Storage keys of every variant a user or lesson document currently points at
+const collectReferencedKeys = async () => {
+  const keys = new Set();
+  const addUrl = (url) => {
+    if (typeof url !== "string") return;
+    keys.add(url);
+    // Local files may be referenced by absolute URL (any host) or by a relative "uploads/..." path
+    const normalized = url.startsWith("uploads/") ? `/${url}` : url;
+    const marker = normalized.indexOf("/uploads/");
+    if (marker !== -1) keys.add(normalized.slice(marker + "/uploads/".length));
+  };
+
+  const users = usersCollection.find({}, { projection: { photoURL: 1, photoVariants: 1 } });
+  for await (const user of users) {
+    addUrl(user.photoURL);
+    Object.values(user.photoVariants || {}).forEach(addUrl);
+  }
+  const lessons = lessonsCollection.find({}, { projection: { image: 1, imageVariants: 1, "creator.photo": 1 } });
+  for await (const lesson of lessons) {
+    addUrl(lesson.image);
+    addUrl(lesson.creator?.photo);
+    Object.values(lesson.imageVariants || {}).forEach(addUrl);
+  }
+  (await commentsCollection.distinct("author.photo")).forEach(addUrl);
+  return keys;
+};
+
+const collectUnusedUploads = async () => {
+  try {
+    await connectDB();
+    const cutoff = new Date(Date.now() - UPLOAD_GC_GRACE_MS);
+    const referenced = await collectReferencedKeys();
+    const report = { uploads: 0, files: 0, untrackedFiles: 0, bytes: 0 };
+
+    const trackedKeys = new Set();
+    for await (const upload of uploadsCollection.find({})) {
+      const variants = Object.values(upload.variants || {});
+      variants.forEach(v => trackedKeys.add(v.key));
+      if (upload.lastUploadedAt > cutoff) continue;
+      if (variants.some(v => referenced.has(v.key) || referenced.has(v.url))) continue;
+      // Only files written by the active driver can be removed through it
+      if (upload.storage !== fileStorage.name) continue;
+
+      for (const v of variants) await fileStorage.remove(v.key);
+      await uploadsCollection.deleteOne({ _id: upload._id });
+      report.uploads++;
+      report.files += variants.length;
+      report.bytes += upload.totalBytes || 0;
+    }
+
+    // Files stored before uploads were tracked (the timestamped PNGs in uploads/) are only reachable by listing
+    if (fileStorage.list) {
+      for (const file of await fileStorage.list()) {
+        if (trackedKeys.has(file.key) || referenced.has(file.key) || file.modifiedAt > cutoff) continue;
+        await fileStorage.remove(file.key);
+        report.untrackedFiles++;
+      }
+    }
+
+    if (report.files || report.untrackedFiles) console.log("🧹 Removed unused uploads:", report);
+    return report;
+  } catch (err) {
+    console.error("Upload GC Error:", err);
+  }
+};
+
+setInterval(collectUnusedUploads, UPLOAD_GC_INTERVAL_MS).unref();
+
+app.get("/cron/collect-uploads", verifyCronSecret, async (req, res) => {
+  const report = await collectUnusedUploads();
+  if (!report) return res.status(500).json({ message: "Failed to collect unused uploads" });
+  res.json({ success: true, ...report });
+});
+
 /* ==============================
    Routes
 ================================ */
 app.get("/", (req, res) => res.send("Server is running!"));
 
 
+/* ---------- LESSON STATUS ---------- */
+// draft -> scheduled -> published -> archived. Readers only ever see published lessons;
+// lessons created before statuses existed have no status and count as published.
+// A scheduled lesson counts as published once publishAt has passed, whether or not the publish job has run yet
+// (timers are not reliable on serverless deployments), so these are evaluated per query.
+const LESSON_STATUSES = ["draft", "scheduled", "published", "archived"];
+const publishedLessonFilter = () => ({
+  status: { $nin: ["draft", "archived"] },
+  $nor: [{ status: "scheduled", publishAt: { $not: { $lte: new Date() } } }],
+});
+
+// What readers may see: published and not private. Lessons older than the visibility field count as public.
+const visibleLessonFilter = () => ({ visibility: { $ne: "private" }, ...publishedLessonFilter() });
+
+const isLessonPublished = (lesson) =>
+  !["draft", "archived"].includes(lesson.status) &&
+  (lesson.status !== "scheduled" || (!!lesson.publishAt && new Date(lesson.publishAt) <= new Date()));
+
+// Turns a requested status into the fields to store, or { error }
+const resolveLessonStatus = (status, publishAt) => {
+  if (!LESSON_STATUSES.includes(status)) return { error: "Invalid status" };
+  if (status === "scheduled") {
+    const date = new Date(publishAt);
+    if (!publishAt || isNaN(date)) return { error: "publishAt is required for scheduled lessons" };
+    if (date <= new Date()) return { error: "publishAt must be in the future" };
+    return { status, publishAt: date };
+  }
+  if (status === "published") return { status, publishAt: null, publishedAt: new Date() };
+  if (status === "archived") return { status, archivedAt: new Date() };
+  return { status, publishAt: null };
+};
+
+// Flips due scheduled lessons to "published". Readers already see them once publishAt passes;
+// this only settles the stored status. Runs on a timer where the process stays up, and from cron.
+const SCHEDULED_PUBLISH_INTERVAL_MS = 60 * 1000;
+
+const publishScheduledLessons = async () => {
+  try {
+    await connectDB();
+    const result = await lessonsCollection.updateMany(
+      { status: "scheduled", publishAt: { $lte: new Date() } },
+      [{ $set: { status: "published", publishedAt: "$publishAt" } }]
+    );
+    if (result.modifiedCount) console.log(`📅 Published ${result.modifiedCount} scheduled lesson(s)`);
+    return result.modifiedCount;
+  } catch (err) {
+    console.error("Scheduled Publish Error:", err);
+    return null;
+  }
+};
+
+setInterval(publishScheduledLessons, SCHEDULED_PUBLISH_INTERVAL_MS).unref();
+
+app.get("/cron/publish-scheduled", verifyCronSecret, async (req, res) => {
+  const published = await publishScheduledLessons();
+  if (published === null) return res.status(500).json({ message: "Failed to publish scheduled lessons" });
+  res.json({ success: true, published });
+});
+
 /* ---------- ADD LESSON ---------- */
-app.post("/dashboard/add-lesson", verifyFirebaseToken, async (req, res) => {
+// status: "draft" | "scheduled" (with publishAt) | "published" (default)
+app.post("/dashboard/add-lesson", verifyFirebaseToken, acceptImage("image", "lesson"), async (req, res) => {
   try {
     const {
       title, shortDescription, fullDescription, 
       category, emotionalTone, visibility, 
-      accessLevel, imageURL
+      accessLevel, imageURL, status = "published", publishAt
     } = req.body;
 
-    if (!title || !fullDescription) {
+    // Drafts only need a title; anything going live needs its full text
+    if (!title) return res.status(400).json({ message: "Title is required" });
+    if (status !== "draft" && !fullDescription) {
       return res.status(400).json({ message: "Title & Full Description required" });
     }
+    if (status === "archived") return res.status(400).json({ message: "New lessons cannot be archived" });
+    const statusFields = resolveLessonStatus(status, publishAt);
+    if (statusFields.error) return res.status(400).json({ message: statusFields.error });
+
+    // A multipart "image" file takes precedence over an imageURL string
+    let image = imageURL || "";
+    let imageVariants = null;
+    if (req.file) {
+      const stored = await storeImage(req.file, "lesson", req.decoded);
+      if (stored.error) return res.status(stored.status || 400).json({ message: stored.error });
+      image = stored.urls.full;
+      imageVariants = stored.urls;
+    }
 
     const user = await usersCollection.findOne({ email: req.decoded.email });
 
@@ -141,7 +831,8 @@ app.post("/dashboard/add-lesson", verifyFirebaseToken, async (req, res) => {
       fullDescription,
       category,
       emotionalTone,
-      image: imageURL || "",
+      image,
+      imageVariants,
       visibility,
       accessLevel,
       creator: {
@@ -152,12 +843,12 @@ app.post("/dashboard/add-lesson", verifyFirebaseToken, async (req, res) => {
       },
       likesCount: 0,
       favoritesCount: 0,
-      comments: [],
+      commentsCount: 0,
+      ...statusFields,
       createdAt: new Date(),
     };
 
-    const result = await publicLessonsCollection.insertOne(lesson);
-    await myLessonsCollection.insertOne({ ...lesson, _id: result.insertedId });
+    await lessonsCollection.insertOne(lesson);
 
     res.json({ success: true, lesson });
   } catch (error) {
@@ -167,105 +858,961 @@ app.post("/dashboard/add-lesson", verifyFirebaseToken, async (req, res) => {
 });
 
 
-/* ---------- STRIPE PAYMENT INTENT ---------- */
-app.post("/create-payment-intent", async (req, res) => {
-  const { price } = req.body;
-  if (!price) return res.status(400).send({ message: "Price is required" });
+/* ---------- PAYMENT RECORDS ---------- */
+// Every payment lives in `payments`; amounts are in the smallest currency unit, as Stripe reports them.
+// status: "pending" -> "succeeded" | "failed"
+const createPaymentRecord = (fields) =>
+  paymentsCollection.insertOne({ ...fields, status: "pending", createdAt: new Date(), updatedAt: new Date() });
+
+// Lifetime purchases: premium never expires.
+// Granted from exactly two webhook entry points: checkout.session.completed for Stripe Checkout, and
+// payment_intent.succeeded for the in-app card form (POST /create-payment-intent), which never creates a session.
+const grantPremium = async (email) => {
+  await usersCollection.updateOne(
+    { email },
+    { $set: { isPremium: true, premiumType: "lifetime", premiumSince: new Date(), premiumUntil: null } }
+  );
+  await usersCollection.updateOne({ email, role: "user" }, { $set: { role: "premium" } });
+  await syncUserClaims(email);
+};
+
+// Subscriptions: premium lasts until `premiumUntil`, which every paid invoice pushes forward
+const extendSubscriptionPremium = async (email, premiumUntil) => {
+  await usersCollection.updateOne(
+    { email, premiumType: { $ne: "lifetime" } },
+    { $set: { isPremium: true, premiumType: "subscription", premiumUntil } }
+  );
+  await usersCollection.updateOne({ email, role: "user" }, { $set: { role: "premium" } });
+  await syncUserClaims(email);
+};
+
+// Lifetime buyers keep premium even when a side subscription ends
+const revokeSubscriptionPremium = async (filter) => {
+  const affected = await usersCollection
+    .find({ ...filter, premiumType: "subscription", isPremium: true })
+    .project({ email: 1 })
+    .toArray();
+
+  await usersCollection.updateMany(
+    { ...filter, premiumType: "subscription", role: "premium" },
+    { $set: { role: "user" } }
+  );
+  await usersCollection.updateMany(
+    { ...filter, premiumType: "subscription" },
+    { $set: { isPremium: false } }
+  );
+  for (const user of affected) await syncUserClaims(user.email);
+  return affected.length;
+};
+
+// Source of truth for premium access: a lapsed subscription no longer counts even if the sweep has not run yet
+const hasPremiumAccess = (user) =>
+  user?.isPremium === true && (!user.premiumUntil || new Date(user.premiumUntil) > new Date());
+
+
+/* ---------- PRICING PLANS ---------- */
+// Prices come only from the `plans` catalog; clients send a plan id, never an amount.
+// { _id: "premium-lifetime", name, amount (smallest currency unit), currency, type: "lifetime" | "recurring",
+//   interval: "month" | "year" (recurring only), stripePriceId?, active }
+const PLAN_TYPES = ["lifetime", "recurring"];
+const PLAN_INTERVALS = ["month", "year"];
+
+const validatePlan = ({ name, amount, currency, type, interval }) => {
+  if (typeof name !== "string" || !name.trim()) return "Plan name is required";
+  if (!Number.isInteger(amount) || amount <= 0) return "Amount must be a positive integer in the smallest currency unit";
+  if (typeof currency !== "string" || !/^[a-z]{3}$/.test(currency)) return "Currency must be a 3-letter lowercase ISO code";
+  if (!PLAN_TYPES.includes(type)) return "Invalid plan type";
+  if (type === "recurring" && !PLAN_INTERVALS.includes(interval)) return "Recurring plans need a month or year interval";
+  return null;
+};
 
-  const amount = parseInt(price * 100);
+const findActivePlan = (planId) =>
+  typeof planId === "string" ? plansCollection.findOne({ _id: planId, active: true }) : null;
+
+// Stripe line item for a plan: the stored Stripe price if there is one, otherwise inline price data
+const planLineItem = (plan) => {
+  if (plan.stripePriceId) return { price: plan.stripePriceId, quantity: 1 };
+  return {
+    price_data: {
+      currency: plan.currency,
+      unit_amount: plan.amount,
+      product_data: { name: plan.name },
+      ...(plan.type === "recurring" ? { recurring: { interval: plan.interval } } : {}),
+    },
+    quantity: 1,
+  };
+};
 
+app.get("/plans", async (req, res) => {
   try {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount,
-      currency: "usd",
-      payment_method_types: ["card"],
-    });
-    res.send({ clientSecret: paymentIntent.client_secret });
+    const plans = await plansCollection.find({ active: true }).sort({ amount: 1 }).toArray();
+    res.json(plans);
   } catch (error) {
-    console.error("Stripe Error:", error);
-    res.status(500).send({ error: error.message });
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch plans" });
   }
 });
 
-
-
-app.patch("/users/upgrade/:email", verifyFirebaseToken, async (req, res) => {
+app.get("/admin/plans", verifyAdmin, async (req, res) => {
   try {
-    
-    const email = decodeURIComponent(req.params.email);
-    const { isPremium, role } = req.body;
+    const plans = await plansCollection.find().sort({ createdAt: -1 }).toArray();
+    res.json(plans);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch plans" });
+  }
+});
 
-    console.log("Request to upgrade email:", email); 
+app.post("/admin/plans", verifyAdmin, async (req, res) => {
+  try {
+    const { planId, name, amount, currency = "usd", type, interval, stripePriceId } = req.body;
+    if (typeof planId !== "string" || !/^[a-z0-9-]+$/.test(planId)) {
+      return res.status(400).json({ message: "Plan id must be lowercase letters, numbers and dashes" });
+    }
+    const error = validatePlan({ name, amount, currency, type, interval });
+    if (error) return res.status(400).json({ message: error });
 
-    
-    const result = await usersCollection.updateOne(
-      { email: email }, 
-      { $set: { isPremium: isPremium, role: role } }
-    );
+    const plan = {
+      _id: planId,
+      name: name.trim(),
+      amount,
+      currency,
+      type,
+      interval: type === "recurring" ? interval : null,
+      stripePriceId: stripePriceId || null,
+      active: true,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
 
-    if (result.matchedCount === 0) {
-      console.log("No user found with this email in DB");
-      return res.status(404).json({ success: false, message: "User not found" });
+    try {
+      await plansCollection.insertOne(plan);
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ message: "Plan id already exists" });
+      throw err;
     }
 
-    res.json({ success: true, message: "User upgraded!" });
+    await recordAudit(req, { action: "plan.create", target: { type: "plan", id: plan._id }, after: plan });
+    res.json({ success: true, plan });
   } catch (error) {
-    console.error("Upgrade Error:", error);
-    res.status(500).json({ success: false, message: "Server error" });
+    console.error("Create Plan Error:", error);
+    res.status(500).json({ message: "Failed to create plan" });
   }
 });
 
+app.patch("/admin/plans/:planId", verifyAdmin, async (req, res) => {
+  try {
+    const existing = await plansCollection.findOne({ _id: req.params.planId });
+    if (!existing) return res.status(404).json({ message: "Plan not found" });
 
+    const updates = {};
+    for (const field of ["name", "amount", "currency", "type", "interval", "stripePriceId", "active"]) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    if (updates.active !== undefined && typeof updates.active !== "boolean") {
+      return res.status(400).json({ message: "active must be a boolean" });
+    }
 
+    const merged = { ...existing, ...updates };
+    const error = validatePlan(merged);
+    if (error) return res.status(400).json({ message: error });
+    if (merged.type === "lifetime") updates.interval = null;
+
+    await plansCollection.updateOne({ _id: existing._id }, { $set: { ...updates, updatedAt: new Date() } });
+    await recordAudit(req, {
+      action: "plan.update",
+      target: { type: "plan", id: existing._id },
+      before: existing,
+      after: { ...merged, ...updates },
+    });
+    res.json({ success: true, plan: { ...merged, ...updates } });
+  } catch (error) {
+    console.error("Update Plan Error:", error);
+    res.status(500).json({ message: "Failed to update plan" });
+  }
+});
 
-
-
-
-/* ---------- USER PROFILE ---------- */
-app.get("/users/profile/:email", verifyFirebaseToken, async (req, res) => {
+// Plans are retired instead of deleted so old payments keep pointing at a real plan
+app.delete("/admin/plans/:planId", verifyAdmin, async (req, res) => {
   try {
-    const email = req.params.email;
-    const user = await usersCollection.findOne({ email });
-    if (!user) return res.status(404).json({ message: "User not found" });
-
-    const lessonsCreated = await publicLessonsCollection.countDocuments({ "creator.email": email });
-    const favoritesAgg = await publicLessonsCollection.aggregate([{ $match: { "favoritedBy.email": email } }, { $count: "total" }]).toArray();
-    const lessonsSaved = favoritesAgg[0]?.total || 0;
-
-    res.json({
-      name: user.name,
-      email: user.email,
-      photoURL: user.photoURL || "",
-      isPremium: user.isPremium,
-      lessonsCreated,
-      lessonsSaved,
+    const result = await plansCollection.updateOne(
+      { _id: req.params.planId },
+      { $set: { active: false, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ message: "Plan not found" });
+    await recordAudit(req, {
+      action: "plan.retire",
+      target: { type: "plan", id: req.params.planId },
+      after: { active: false },
     });
+    res.json({ success: true });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Failed to fetch profile" });
+    console.error("Delete Plan Error:", error);
+    res.status(500).json({ message: "Failed to retire plan" });
   }
 });
 
 
-/* ---------- UPDATE PROFILE ---------- */
-app.put("/users/update-profile", verifyFirebaseToken, async (req, res) => {
-  try {
-    const { uid, email } = req.decoded;
-    const { name, photoURL } = req.body;
+/* ---------- STRIPE PAYMENT INTENT ---------- */
+// Card payments for lifetime plans (body: { planId })
+app.post("/create-payment-intent", verifyFirebaseToken, async (req, res) => {
+  const { planId } = req.body;
+  if (!planId) return res.status(400).send({ message: "Plan id is required" });
 
-    await usersCollection.updateOne({ email }, { $set: { name, photoURL } });
-    await admin.auth().updateUser(uid, { displayName: name, photoURL });
+  const { email, uid } = req.decoded;
 
-    res.json({ success: true, message: "Updated in both DB and Firebase" });
+  try {
+    const plan = await findActivePlan(planId);
+    if (!plan) return res.status(404).send({ message: "Plan not found" });
+    if (plan.type !== "lifetime") return res.status(400).send({ message: "Recurring plans must use checkout" });
+
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: plan.amount,
+      currency: plan.currency,
+      payment_method_types: ["card"],
+      receipt_email: email,
+      metadata: { email, uid, planId: plan._id },
+    });
+    await createPaymentRecord({
+      email,
+      uid,
+      planId: plan._id,
+      amount: plan.amount,
+      currency: plan.currency,
+      source: "payment_intent",
+      stripePaymentIntentId: paymentIntent.id,
+    });
+    res.send({ clientSecret: paymentIntent.client_secret });
   } catch (error) {
-    console.error("Firebase/DB Update Error:", error);
-    res.status(500).json({ message: "Update failed" });
+    console.error("Stripe Error:", error);
+    res.status(500).send({ error: error.message });
   }
 });
 
 
-/* ---------- CREATE / SYNC USER ---------- */
-app.post("/users", verifyFirebaseToken, async (req, res) => {
+/* ---------- STRIPE CHECKOUT ---------- */
+// Hosted checkout for a catalog plan (body: { planId })
+app.post("/create-checkout-session", verifyFirebaseToken, async (req, res) => {
+  try {
+    const { email, uid } = req.decoded;
+    const { planId } = req.body;
+    if (!planId) return res.status(400).json({ message: "Plan id is required" });
+
+    const plan = await findActivePlan(planId);
+    if (!plan) return res.status(404).json({ message: "Plan not found" });
+
+    const user = await usersCollection.findOne({ email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    if (hasPremiumAccess(user)) return res.status(409).json({ message: "User is already premium" });
+
+    const isRecurring = plan.type === "recurring";
+    const metadata = { email, uid, planId: plan._id };
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+    const session = await stripe.checkout.sessions.create({
+      mode: isRecurring ? "subscription" : "payment",
+      line_items: [planLineItem(plan)],
+      customer: user.stripeCustomerId || undefined,
+      customer_email: user.stripeCustomerId ? undefined : email,
+      client_reference_id: uid,
+      metadata,
+      ...(isRecurring ? { subscription_data: { metadata } } : {}),
+      success_url: `${clientUrl}/payment/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${clientUrl}/payment/cancel`,
+    });
+
+    // Subscription payments are recorded per invoice by the webhook
+    if (!isRecurring) {
+      await createPaymentRecord({
+        email,
+        uid,
+        planId: plan._id,
+        amount: session.amount_total,
+        currency: session.currency,
+        source: "checkout",
+        stripeSessionId: session.id,
+      });
+    }
+
+    res.json({ url: session.url, sessionId: session.id });
+  } catch (error) {
+    console.error("Checkout Session Error:", error);
+    res.status(500).json({ message: "Failed to create checkout session" });
+  }
+});
+
+/* ---------- STRIPE WEBHOOK HANDLERS ---------- */
+// Keyed by Stripe event type; called from /webhook after the event id has been claimed
+const stripeEventHandlers = {
+  "checkout.session.completed": async (event) => {
+    const session = event.data.object;
+    const email = session.metadata?.email || session.customer_email;
+
+    // Subscription access is driven by the customer.subscription.* and invoice.* events below
+    if (session.mode === "subscription") {
+      await usersCollection.updateOne(
+        { email },
+        { $set: { stripeCustomerId: session.customer, "subscription.id": session.subscription } }
+      );
+      return;
+    }
+    if (session.payment_status !== "paid") return;
+
+    await paymentsCollection.updateOne(
+      { stripeSessionId: session.id },
+      {
+        $set: {
+          email,
+          uid: session.metadata?.uid || session.client_reference_id,
+          planId: session.metadata?.planId,
+          amount: session.amount_total,
+          currency: session.currency,
+          stripeEventId: event.id,
+          stripePaymentIntentId: session.payment_intent,
+          stripeCustomerId: session.customer,
+          status: "succeeded",
+          paidAt: new Date(),
+          updatedAt: new Date(),
+        },
+        $setOnInsert: { source: "checkout", createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+
+    await grantPremium(email);
+  },
+
+  "payment_intent.succeeded": async (event) => {
+    const intent = event.data.object;
+    // Second premium entry point (see grantPremium): only intents created by /create-payment-intent.
+    // Checkout payments are settled by checkout.session.completed
+    const payment = await paymentsCollection.findOne({ stripePaymentIntentId: intent.id, source: "payment_intent" });
+    if (!payment) return;
+
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          amount: intent.amount_received,
+          currency: intent.currency,
+          stripeEventId: event.id,
+          stripeChargeId: intent.latest_charge,
+          status: "succeeded",
+          paidAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    await grantPremium(payment.email);
+  },
+
+  "customer.subscription.created": (event) => syncSubscription(event.data.object),
+  "customer.subscription.updated": (event) => syncSubscription(event.data.object),
+
+  "customer.subscription.deleted": async (event) => {
+    const subscription = event.data.object;
+    await usersCollection.updateOne(
+      { "subscription.id": subscription.id },
+      { $set: { "subscription.status": "canceled", "subscription.canceledAt": new Date() } }
+    );
+    await revokeSubscriptionPremium({ "subscription.id": subscription.id });
+  },
+
+  // Fired for the first charge and for every renewal
+  "invoice.paid": async (event) => {
+    const invoice = event.data.object;
+    const subscriptionId = invoiceSubscriptionId(invoice);
+    if (!subscriptionId) return;
+
+    const user = await usersCollection.findOne({
+      $or: [{ "subscription.id": subscriptionId }, { email: invoice.customer_email }],
+    });
+    if (!user) return;
+
+    const periodEnd = new Date(invoice.lines.data[0].period.end * 1000);
+    const { paymentIntentId, chargeId } = await invoicePaymentRefs(invoice);
+    await paymentsCollection.updateOne(
+      { stripeInvoiceId: invoice.id },
+      {
+        $set: {
+          email: user.email,
+          uid: user.uid,
+          planId: user.subscription?.planId || null,
+          amount: invoice.amount_paid,
+          currency: invoice.currency,
+          stripeEventId: event.id,
+          stripeCustomerId: invoice.customer,
+          stripeSubscriptionId: subscriptionId,
+          stripePaymentIntentId: paymentIntentId,
+          stripeChargeId: chargeId,
+          status: "succeeded",
+          paidAt: new Date(),
+          updatedAt: new Date(),
+        },
+        $setOnInsert: { source: "subscription", createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+
+    await usersCollection.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          stripeCustomerId: invoice.customer,
+          "subscription.id": subscriptionId,
+          "subscription.status": "active",
+          "subscription.currentPeriodEnd": periodEnd,
+        },
+      }
+    );
+    await extendSubscriptionPremium(user.email, periodEnd);
+  },
+
+  // Stripe keeps retrying; access runs out on its own when premiumUntil passes
+  "invoice.payment_failed": async (event) => {
+    const invoice = event.data.object;
+    const subscriptionId = invoiceSubscriptionId(invoice);
+    if (!subscriptionId) return;
+
+    await usersCollection.updateOne(
+      { "subscription.id": subscriptionId },
+      { $set: { "subscription.status": "past_due", "subscription.lastPaymentFailedAt": new Date() } }
+    );
+    await paymentsCollection.updateOne(
+      { stripeInvoiceId: invoice.id },
+      {
+        $set: {
+          email: invoice.customer_email,
+          amount: invoice.amount_due,
+          currency: invoice.currency,
+          stripeEventId: event.id,
+          stripeCustomerId: invoice.customer,
+          stripeSubscriptionId: subscriptionId,
+          status: "failed",
+          updatedAt: new Date(),
+        },
+        $setOnInsert: { source: "subscription", createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+  },
+
+  "charge.refunded": (event) => handleChargeRefunded(event),
+  "charge.dispute.created": (event) => handleDisputeCreated(event),
+
+  "payment_intent.payment_failed": async (event) => {
+    const intent = event.data.object;
+    await paymentsCollection.updateOne(
+      { stripePaymentIntentId: intent.id },
+      {
+        $set: {
+          stripeEventId: event.id,
+          status: "failed",
+          failureMessage: intent.last_payment_error?.message || "",
+          updatedAt: new Date(),
+        },
+      }
+    );
+  },
+};
+
+/* ---------- SUBSCRIPTIONS ---------- */
+// Newer Stripe API versions moved these fields; read both shapes
+const invoiceSubscriptionId = (invoice) =>
+  invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+
+// Since 2025-03-31.basil an invoice no longer carries payment_intent/charge; they hang off its invoice payments
+const invoicePaymentRefs = async (invoice) => {
+  if (invoice.payment_intent || invoice.charge) {
+    return { paymentIntentId: invoice.payment_intent || null, chargeId: invoice.charge || null };
+  }
+
+  const payments = invoice.payments?.data ?? (await stripe.invoicePayments.list({ invoice: invoice.id, status: "paid", limit: 1 })).data;
+  const payment = payments.find(p => p.status === "paid")?.payment;
+  const idOf = (ref) => (typeof ref === "string" ? ref : ref?.id) || null;
+  const paymentIntentId = idOf(payment?.payment_intent);
+  let chargeId = idOf(payment?.charge);
+  if (paymentIntentId && !chargeId) {
+    const intent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    chargeId = idOf(intent.latest_charge);
+  }
+  return { paymentIntentId, chargeId };
+};
+
+const subscriptionPeriodEnd = (subscription) => {
+  const end = subscription.current_period_end ?? subscription.items?.data?.[0]?.current_period_end;
+  return end ? new Date(end * 1000) : null;
+};
+
+const ACTIVE_SUBSCRIPTION_STATUSES = ["active", "trialing", "past_due"];
+
+const syncSubscription = async (subscription) => {
+  const email = subscription.metadata?.email;
+  const user = await usersCollection.findOne(email ? { email } : { "subscription.id": subscription.id });
+  if (!user) return;
+
+  const filter = { _id: user._id };
+  const currentPeriodEnd = subscriptionPeriodEnd(subscription);
+
+  await usersCollection.updateOne(filter, {
+    $set: {
+      stripeCustomerId: subscription.customer,
+      subscription: {
+        id: subscription.id,
+        planId: subscription.metadata?.planId || null,
+        status: subscription.status,
+        cancelAtPeriodEnd: subscription.cancel_at_period_end,
+        currentPeriodEnd,
+      },
+    },
+  });
+
+  if (ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status) && currentPeriodEnd) {
+    await extendSubscriptionPremium(user.email, currentPeriodEnd);
+  } else if (["canceled", "unpaid", "incomplete_expired"].includes(subscription.status)) {
+    await revokeSubscriptionPremium(filter);
+  }
+};
+
+// Hourly sweep so lapsed subscribers lose the flag even if a webhook was missed.
+// Runs on a timer where the process stays up, and from cron on serverless deployments.
+const SUBSCRIPTION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const expireLapsedSubscriptions = async () => {
+  try {
+    await connectDB();
+    const lapsed = { premiumUntil: { $lt: new Date() } };
+    return await revokeSubscriptionPremium(lapsed);
+  } catch (err) {
+    console.error("Subscription Sweep Error:", err);
+    return null;
+  }
+};
+
+setInterval(expireLapsedSubscriptions, SUBSCRIPTION_SWEEP_INTERVAL_MS).unref();
+
+app.get("/cron/expire-subscriptions", verifyCronSecret, async (req, res) => {
+  const expired = await expireLapsedSubscriptions();
+  if (expired === null) return res.status(500).json({ message: "Failed to expire lapsed subscriptions" });
+  res.json({ success: true, expired });
+});
+
+app.get("/users/subscription", verifyFirebaseToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({
+      isPremium: hasPremiumAccess(user),
+      premiumType: user.premiumType || null,
+      premiumUntil: user.premiumUntil || null,
+      subscription: user.subscription || null,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch subscription" });
+  }
+});
+
+// Cancels at the end of the paid period; access stays until then
+app.post("/users/subscription/cancel", verifyFirebaseToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    const subscription = user?.subscription;
+    if (!subscription?.id || !ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status)) {
+      return res.status(404).json({ message: "No active subscription" });
+    }
+    if (subscription.cancelAtPeriodEnd) return res.status(409).json({ message: "Subscription is already canceled" });
+
+    const updated = await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: true });
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { "subscription.cancelAtPeriodEnd": true, "subscription.status": updated.status } }
+    );
+
+    res.json({ success: true, premiumUntil: user.premiumUntil, cancelAtPeriodEnd: true });
+  } catch (error) {
+    console.error("Cancel Subscription Error:", error);
+    res.status(500).json({ message: "Failed to cancel subscription" });
+  }
+});
+
+/* ---------- REFUNDS & DISPUTES ---------- */
+// Payment status after money goes back: "partially_refunded" | "refunded" | "disputed".
+// Every step is appended to the payment's `log` so the record tells its own story.
+const paymentLogEntry = (action, details = {}) => ({ action, ...details, at: new Date() });
+
+// Charges no longer point at their invoice, so subscription payments are matched on the stored charge or intent.
+// Records written before those ids were stored are found through the intent's invoice payment and backfilled.
+const findPaymentForCharge = async (charge) => {
+  const or = [{ stripeChargeId: charge.id }];
+  if (charge.payment_intent) or.push({ stripePaymentIntentId: charge.payment_intent });
+  if (charge.invoice) or.push({ stripeInvoiceId: charge.invoice });
+  const payment = await paymentsCollection.findOne({ $or: or });
+  if (payment || !charge.payment_intent) return payment;
+
+  const { data } = await stripe.invoicePayments.list({
+    payment: { type: "payment_intent", payment_intent: charge.payment_intent },
+    limit: 1,
+  });
+  const invoiceId = typeof data[0]?.invoice === "string" ? data[0].invoice : data[0]?.invoice?.id;
+  if (!invoiceId) return null;
+  return paymentsCollection.findOneAndUpdate(
+    { stripeInvoiceId: invoiceId },
+    { $set: { stripeChargeId: charge.id, stripePaymentIntentId: charge.payment_intent } },
+    { returnDocument: "after" }
+  );
+};
+
+// Takes back whatever premium the payment bought
+const revokePaymentPremium = async (payment) => {
+  if (payment.source === "subscription") {
+    if (payment.stripeSubscriptionId) {
+      await stripe.subscriptions.cancel(payment.stripeSubscriptionId).catch((err) => {
+        if (err.code !== "resource_missing") throw err;
+      });
+    }
+    await usersCollection.updateOne(
+      { email: payment.email, premiumType: "subscription" },
+      { $set: { premiumUntil: new Date() } }
+    );
+    await revokeSubscriptionPremium({ email: payment.email });
+    return;
+  }
+  await usersCollection.updateOne(
+    { email: payment.email, premiumType: "lifetime" },
+    { $set: { isPremium: false, premiumType: null } }
+  );
+  await usersCollection.updateOne({ email: payment.email, role: "premium", isPremium: false }, { $set: { role: "user" } });
+  await syncUserClaims(payment.email);
+};
+
+async function handleChargeRefunded(event) {
+  const charge = event.data.object;
+  const payment = await findPaymentForCharge(charge);
+  if (!payment) return;
+
+  const fullyRefunded = charge.refunded === true;
+  await paymentsCollection.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        stripeChargeId: charge.id,
+        refundedAmount: charge.amount_refunded,
+        status: fullyRefunded ? "refunded" : "partially_refunded",
+        updatedAt: new Date(),
+      },
+      $push: {
+        log: paymentLogEntry("charge.refunded", {
+          stripeEventId: event.id,
+          amountRefunded: charge.amount_refunded,
+          premiumRevoked: fullyRefunded,
+        }),
+      },
+    }
+  );
+
+  if (fullyRefunded) await revokePaymentPremium(payment);
+}
+
+// A dispute means the money is already being pulled back, so access goes immediately
+async function handleDisputeCreated(event) {
+  const dispute = event.data.object;
+  const payment = await findPaymentForCharge({ id: dispute.charge, payment_intent: dispute.payment_intent });
+  if (!payment) return;
+
+  await paymentsCollection.updateOne(
+    { _id: payment._id },
+    {
+      $set: { status: "disputed", stripeDisputeId: dispute.id, updatedAt: new Date() },
+      $push: {
+        log: paymentLogEntry("charge.dispute.created", {
+          stripeEventId: event.id,
+          amount: dispute.amount,
+          reason: dispute.reason,
+          premiumRevoked: true,
+        }),
+      },
+    }
+  );
+
+  await revokePaymentPremium(payment);
+}
+
+// Admin refund (body: { amount?, reason? }); omit amount for a full refund.
+// Premium is revoked by the charge.refunded webhook once Stripe confirms the refund.
+const REFUND_REASONS = ["duplicate", "fraudulent", "requested_by_customer"];
+
+app.post("/admin/payments/:id/refund", verifyAdmin, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid payment id" });
+    const payment = await paymentsCollection.findOne({ _id: new ObjectId(id) });
+    if (!payment) return res.status(404).json({ message: "Payment not found" });
+    if (!["succeeded", "partially_refunded"].includes(payment.status)) {
+      return res.status(409).json({ message: `Cannot refund a ${payment.status} payment` });
+    }
+
+    const { amount, reason = "requested_by_customer" } = req.body;
+    const refundable = payment.amount - (payment.refundedAmount || 0);
+    if (amount !== undefined && (!Number.isInteger(amount) || amount <= 0 || amount > refundable)) {
+      return res.status(400).json({ message: `Amount must be an integer between 1 and ${refundable}` });
+    }
+    if (!REFUND_REASONS.includes(reason)) return res.status(400).json({ message: "Invalid refund reason" });
+
+    // Older subscription records were stored without the intent; look it up from the invoice
+    if (!payment.stripePaymentIntentId && !payment.stripeChargeId && payment.stripeInvoiceId) {
+      const invoice = await stripe.invoices.retrieve(payment.stripeInvoiceId, { expand: ["payments"] });
+      const { paymentIntentId, chargeId } = await invoicePaymentRefs(invoice);
+      payment.stripePaymentIntentId = paymentIntentId;
+      payment.stripeChargeId = chargeId;
+      await paymentsCollection.updateOne(
+        { _id: payment._id },
+        { $set: { stripePaymentIntentId: paymentIntentId, stripeChargeId: chargeId } }
+      );
+    }
+
+    const target = payment.stripePaymentIntentId
+      ? { payment_intent: payment.stripePaymentIntentId }
+      : payment.stripeChargeId
+        ? { charge: payment.stripeChargeId }
+        : null;
+    if (!target) return res.status(400).json({ message: "Payment has no Stripe charge to refund" });
+
+    const refund = await stripe.refunds.create({
+      ...target,
+      ...(amount !== undefined ? { amount } : {}),
+      reason,
+      metadata: { paymentId: id, refundedBy: req.decoded.email },
+    });
+
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $push: {
+          refunds: {
+            stripeRefundId: refund.id,
+            amount: refund.amount,
+            reason,
+            status: refund.status,
+            refundedBy: req.decoded.email,
+            createdAt: new Date(),
+          },
+          log: paymentLogEntry("admin.refund", { by: req.decoded.email, amount: refund.amount, stripeRefundId: refund.id }),
+        },
+        $set: { updatedAt: new Date() },
+      }
+    );
+
+    await recordAudit(req, {
+      action: "payment.refund",
+      target: { type: "payment", id: payment._id, owner: payment.email },
+      before: { status: payment.status, refundedAmount: payment.refundedAmount || 0 },
+      after: { stripeRefundId: refund.id, amount: refund.amount, status: refund.status },
+      details: { reason },
+    });
+    res.json({ success: true, refund: { id: refund.id, amount: refund.amount, status: refund.status } });
+  } catch (error) {
+    console.error("Refund Error:", error);
+    res.status(500).json({ message: "Failed to refund payment" });
+  }
+});
+
+/* ---------- PAYMENT HISTORY ---------- */
+const paymentProjection = { stripeEventId: 0, log: 0 };
+
+// Revenue counts what was kept: partially refunded payments contribute their remainder
+const REVENUE_STATUSES = ["succeeded", "partially_refunded"];
+const netPaymentAmount = { $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }] };
+
+app.get("/users/payments", verifyFirebaseToken, async (req, res) => {
+  try {
+    const payments = await paymentsCollection
+      .find({ email: req.decoded.email })
+      .project(paymentProjection)
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json(payments);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch payments" });
+  }
+});
+
+// GET /admin/payments?from=2025-01-01&to=2025-01-31&status=succeeded&email=&page=1&limit=20
+app.get("/admin/payments", verifyAdmin, async (req, res) => {
+  try {
+    const { from, to, status, email } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const query = {};
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some((d) => isNaN(d))) {
+        return res.status(400).json({ message: "Invalid date filter" });
+      }
+    }
+    if (status) query.status = status;
+    if (email) query.email = email;
+
+    const total = await paymentsCollection.countDocuments(query);
+    const payments = await paymentsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    // Totals cover the same payments as the page: a status filter narrows them, a non-revenue status has none
+    const revenueStatuses = status ? REVENUE_STATUSES.filter((s) => s === status) : REVENUE_STATUSES;
+    const revenue = revenueStatuses.length
+      ? await paymentsCollection.aggregate([
+          { $match: { ...query, status: { $in: revenueStatuses } } },
+          { $group: { _id: "$currency", total: { $sum: netPaymentAmount }, count: { $sum: 1 } } },
+          { $project: { _id: 0, currency: "$_id", total: 1, count: 1 } },
+        ]).toArray()
+      : [];
+
+    res.json({ payments, total, page, totalPages: Math.ceil(total / limit), revenue });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch payments" });
+  }
+});
+
+/* ---------- MANUAL UPGRADE (ADMIN) ---------- */
+// Premium is normally granted by the Stripe webhook; this is only for admins fixing accounts by hand
+app.patch("/users/upgrade/:email", verifyAdmin, async (req, res) => {
+  try {
+    const email = decodeURIComponent(req.params.email);
+    const { isPremium, role } = req.body;
+
+    const updates = {};
+    if (typeof isPremium === "boolean") updates.isPremium = isPremium;
+    if (role) {
+      if (!ROLES.includes(role)) return res.status(400).json({ message: "Invalid role" });
+      updates.role = role;
+    }
+    if (!Object.keys(updates).length) return res.status(400).json({ message: "Nothing to update" });
+
+    const before = await usersCollection.findOne({ email });
+    if (!before) {
+      console.log("No user found with this email in DB");
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    await usersCollection.updateOne({ email }, { $set: updates });
+    await syncUserClaims(email);
+    await recordAudit(req, {
+      action: "user.upgrade",
+      target: { type: "user", id: email },
+      before: userAuditSnapshot(before),
+      after: userAuditSnapshot({ ...before, ...updates }),
+    });
+
+    res.json({ success: true, message: "User upgraded!" });
+  } catch (error) {
+    console.error("Upgrade Error:", error);
+    res.status(500).json({ success: false, message: "Server error" });
+  }
+});
+
+
+
+
+
+
+
+/* ---------- USER PROFILE ---------- */
+app.get("/users/profile/:email", verifyFirebaseToken, async (req, res) => {
+  try {
+    const email = req.params.email;
+    const user = await usersCollection.findOne({ email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const lessonsCreated = await lessonsCollection.countDocuments({ "creator.email": email });
+    const favoritesAgg = await lessonsCollection.aggregate([{ $match: { "favoritedBy.email": email } }, { $count: "total" }]).toArray();
+    const lessonsSaved = favoritesAgg[0]?.total || 0;
+    const [followers, following, isFollowing] = await Promise.all([
+      followsCollection.countDocuments({ followingEmail: email }),
+      followsCollection.countDocuments({ followerEmail: email }),
+      followsCollection.countDocuments({ followerEmail: req.decoded.email, followingEmail: email }, { limit: 1 }),
+    ]);
+
+    res.json({
+      name: user.name,
+      email: user.email,
+      photoURL: user.photoURL || "",
+      isPremium: hasPremiumAccess(user),
+      lessonsCreated,
+      lessonsSaved,
+      followers,
+      following,
+      isFollowing: isFollowing > 0,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch profile" });
+  }
+});
+
+
+/* ---------- UPLOAD PROFILE IMAGE ---------- */
+app.post("/users/upload-profile", verifyFirebaseToken, acceptImage("profileImage", "avatar"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "profileImage file is required" });
+    const { uid, email } = req.decoded;
+
+    const stored = await storeImage(req.file, "avatar", req.decoded);
+    if (stored.error) return res.status(stored.status || 400).json({ message: stored.error });
+
+    const photoURL = stored.urls.card;
+    await usersCollection.updateOne({ email }, { $set: { photoURL, photoVariants: stored.urls } });
+    await admin.auth().updateUser(uid, { photoURL });
+
+    res.json({ success: true, photoURL, photoVariants: stored.urls });
+  } catch (error) {
+    console.error("Profile Upload Error:", error);
+    res.status(500).json({ message: "Upload failed" });
+  }
+});
+
+/* ---------- STORAGE USAGE ---------- */
+app.get("/users/storage", verifyFirebaseToken, async (req, res) => {
+  try {
+    const user = await usersCollection.findOne({ email: req.decoded.email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json(await storageUsage({ ...user, uid: req.decoded.uid }));
+  } catch (error) {
+    console.error("Storage Usage Error:", error);
+    res.status(500).json({ message: "Failed to load storage usage" });
+  }
+});
+
+/* ---------- UPDATE PROFILE ---------- */
+app.put("/users/update-profile", verifyFirebaseToken, async (req, res) => {
+  try {
+    const { uid, email } = req.decoded;
+    const { name, photoURL } = req.body;
+
+    // Switching to an external photoURL leaves the uploaded variants stale
+    await usersCollection.updateOne({ email, photoURL: { $ne: photoURL } }, { $unset: { photoVariants: "" } });
+    await usersCollection.updateOne({ email }, { $set: { name, photoURL } });
+    await admin.auth().updateUser(uid, { displayName: name, photoURL });
+
+    res.json({ success: true, message: "Updated in both DB and Firebase" });
+  } catch (error) {
+    console.error("Firebase/DB Update Error:", error);
+    res.status(500).json({ message: "Update failed" });
+  }
+});
+
+
+/* ---------- CREATE / SYNC USER ---------- */
+app.post("/users", verifyFirebaseToken, async (req, res) => {
   try {
     const { uid, email } = req.decoded;
     const { name, photoURL } = req.body;
@@ -283,6 +1830,7 @@ app.post("/users", verifyFirebaseToken, async (req, res) => {
         photoURL: photoURL || "",
       };
       await usersCollection.insertOne(newUser);
+      await syncUserClaims(email);
     } else {
       if (existingUser.name === "Anonymous" && name) {
         await usersCollection.updateOne(
@@ -290,8 +1838,10 @@ app.post("/users", verifyFirebaseToken, async (req, res) => {
           { $set: { name, photoURL: photoURL || existingUser.photoURL } }
         );
       }
+      // Users who signed up before custom claims existed get them on their next login
+      if (req.decoded.role === undefined) await syncUserClaims(email);
     }
-    res.json({ success: true });
+    res.json({ success: true, claimsRefreshNeeded: req.decoded.role === undefined });
   } catch (error) {
     res.status(500).json({ message: "Sync failed" });
   }
@@ -303,95 +1853,829 @@ app.post("/users", verifyFirebaseToken, async (req, res) => {
 app.get("/users/status/:email", verifyFirebaseToken, async (req, res) => {
   try {
     const email = req.params.email;
+    // Own status comes straight from the token when it carries claims
+    if (email === req.decoded.email && req.decoded.role !== undefined) {
+      const premiumUntil = req.decoded.premiumUntil ? new Date(req.decoded.premiumUntil * 1000) : null;
+      return res.json({ role: req.decoded.role, isPremium: tokenHasPremium(req.decoded), premiumUntil });
+    }
+
+    const user = await usersCollection.findOne({ email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+    res.json({ role: user.role, isPremium: hasPremiumAccess(user), premiumUntil: user.premiumUntil || null });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch user status" });
+  }
+});
+
+/* ---------- REFRESH CLAIMS ---------- */
+// Re-syncs the caller's claims from the database; the client should then call getIdToken(true)
+app.post("/users/refresh-claims", verifyFirebaseToken, async (req, res) => {
+  try {
+    const claims = await syncUserClaims(req.decoded.email);
+    if (!claims) return res.status(404).json({ message: "User not found" });
+    res.json({ success: true, claims, refreshToken: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to refresh claims" });
+  }
+});
+
+/* ---------- PERSONAL DATA EXPORT ---------- */
+// Everything we hold about the caller, as a downloadable JSON file
+app.get("/users/me/export", verifyFirebaseToken, async (req, res) => {
+  try {
+    const { email } = req.decoded;
+    const user = await usersCollection.findOne({ email }, { projection: { claimsUpdatedAt: 0 } });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const interactionProjection = { title: 1, category: 1, "creator.name": 1, createdAt: 1 };
+    const [lessons, posts, likedLessons, favoriteLessons, comments, payments, reports, uploads, following, followers] = await Promise.all([
+      lessonsCollection.find({ "creator.email": email }).project({ likedBy: 0, favoritedBy: 0 }).toArray(),
+      postsCollection.find({ authorEmail: email }).toArray(),
+      lessonsCollection
+        .find({ "likedBy.email": email })
+        .project({ ...interactionProjection, likedBy: { $elemMatch: { email } } })
+        .toArray(),
+      lessonsCollection
+        .find({ "favoritedBy.email": email })
+        .project({ ...interactionProjection, favoritedBy: { $elemMatch: { email } } })
+        .toArray(),
+      commentsCollection.find({ "author.email": email }).project({ ancestors: 0 }).toArray(),
+      paymentsCollection.find({ email }).project({ stripeEventId: 0, log: 0 }).toArray(),
+      reportsCollection.find({ "reporter.email": email }).project({ resolution: 0 }).toArray(),
+      uploadsCollection.find({ ownerUid: req.decoded.uid }).project({ urls: 1, kind: 1, totalBytes: 1, createdAt: 1 }).toArray(),
+      followsCollection.find({ followerEmail: email }).project({ _id: 0, followingEmail: 1, createdAt: 1 }).toArray(),
+      followsCollection.find({ followingEmail: email }).project({ _id: 0, followerEmail: 1, createdAt: 1 }).toArray(),
+    ]);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: user,
+      lessons,
+      posts,
+      likes: likedLessons.map(({ likedBy, ...lesson }) => ({ lesson, likedAt: likedBy?.[0]?.likedAt })),
+      favorites: favoriteLessons.map(({ favoritedBy, ...lesson }) => ({ lesson, savedAt: favoritedBy?.[0]?.savedAt })),
+      comments,
+      payments,
+      reports,
+      uploads,
+      following,
+      followers,
+    };
+
+    res.setHeader("Content-Disposition", `attachment; filename="wisdomvault-export-${Date.now()}.json"`);
+    res.json(archive);
+  } catch (error) {
+    console.error("Data Export Error:", error);
+    res.status(500).json({ message: "Failed to export data" });
+  }
+});
+
+/* ---------- DELETE OWN ACCOUNT ---------- */
+// Same cascade as an admin deletion, including the grace period.
+// Needs { confirmEmail } matching the account and a sign-in from the last few minutes.
+const RECENT_SIGN_IN_SECONDS = 5 * 60;
+
+app.delete("/users/me", verifyFirebaseToken, async (req, res) => {
+  try {
+    const { email, auth_time: authTime } = req.decoded;
+    if (req.body?.confirmEmail !== email) {
+      return res.status(400).json({ message: "Type your email address to confirm account deletion" });
+    }
+    if (!authTime || Date.now() / 1000 - authTime > RECENT_SIGN_IN_SECONDS) {
+      return res.status(401).json({ message: "Please sign in again before deleting your account", reauthenticate: true });
+    }
+
     const user = await usersCollection.findOne({ email });
     if (!user) return res.status(404).json({ message: "User not found" });
-    res.json({ role: user.role, isPremium: user.isPremium });
+    if (user.status === "pending_deletion") {
+      return res.status(409).json({ message: "Account is already scheduled for deletion", purgeAfter: user.purgeAfter });
+    }
+
+    const purgeAfter = await scheduleUserDeletion(user, email);
+    await recordAudit(req, {
+      action: "user.self_delete_scheduled",
+      target: { type: "user", id: email },
+      before: userAuditSnapshot(user),
+      details: { purgeAfter },
+    });
+
+    res.json({ success: true, purgeAfter });
+  } catch (error) {
+    console.error("Self Delete Error:", error);
+    res.status(500).json({ message: "Failed to delete account" });
+  }
+});
+
+
+
+
+
+
+/* ---------- OTHER ROUTES ---------- */
+// GET all lessons of logged-in user
+// ?status=draft|scheduled|published|archived
+app.get("/dashboard/my-lessons", verifyFirebaseToken, async (req, res) => {
+  try {
+    const email = req.decoded.email;
+    const { status } = req.query;
+    const query = { "creator.email": email };
+    if (status) {
+      if (!LESSON_STATUSES.includes(status)) return res.status(400).json({ message: "Invalid status" });
+      if (status === "published") Object.assign(query, publishedLessonFilter());
+      else query.status = status;
+    }
+
+    const lessons = await lessonsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json(lessons);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch my lessons" });
+  }
+});
+
+// CHANGE lesson status (body: { status, publishAt? })
+app.patch("/dashboard/my-lessons/:id/status", verifyFirebaseToken, requireLessonOwner, async (req, res) => {
+  try {
+    const { status, publishAt } = req.body;
+    const statusFields = resolveLessonStatus(status, publishAt);
+    if (statusFields.error) return res.status(400).json({ message: statusFields.error });
+
+    const lesson = req.lesson;
+    if (status !== "draft" && status !== "archived" && !lesson.fullDescription) {
+      return res.status(400).json({ message: "Add a full description before publishing" });
+    }
+    // Re-publishing an archived lesson keeps its original publish date
+    if (status === "published" && lesson.publishedAt) statusFields.publishedAt = lesson.publishedAt;
+
+    await lessonsCollection.updateOne({ _id: lesson._id }, { $set: statusFields });
+    res.json({ success: true, ...statusFields });
+  } catch (error) {
+    console.error("Lesson Status Error:", error);
+    res.status(500).json({ message: "Failed to update lesson status" });
+  }
+});
+
+// DELETE lesson
+app.delete("/dashboard/my-lessons/:id", verifyFirebaseToken, requireLessonOwner, async (req, res) => {
+  try {
+    const lessonId = req.lesson._id;
+    await lessonsCollection.deleteOne({ _id: lessonId });
+    await commentsCollection.deleteMany({ lessonId });
+    if (req.isAdminOverride) {
+      await recordAudit(req, {
+        action: "lesson.delete.admin_override",
+        target: { type: "lesson", id: lessonId, owner: req.lesson.creator?.email },
+        before: lessonAuditSnapshot(req.lesson),
+      });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to delete lesson" });
+  }
+});
+
+// UPDATE lesson
+app.put("/dashboard/my-lessons/:id", verifyFirebaseToken, requireLessonOwner, acceptImage("image", "lesson"), async (req, res) => {
+  try {
+    const lessonId = req.lesson._id;
+    const { title, shortDescription, fullDescription, category, emotionalTone, accessLevel } = req.body;
+    let { image, visibility } = req.body;
+    // A lesson hidden by moderation stays private until an admin republishes it
+    if (req.lesson.hiddenByAdmin && !req.isAdminOverride) {
+      if (visibility !== undefined && visibility !== req.lesson.visibility) {
+        return res.status(403).json({ message: "This lesson was hidden by a moderator and cannot be made public" });
+      }
+      visibility = req.lesson.visibility;
+    }
+    let imageVariants = image === req.lesson.image ? req.lesson.imageVariants || null : null;
+    if (req.file) {
+      const stored = await storeImage(req.file, "lesson", req.decoded);
+      if (stored.error) return res.status(stored.status || 400).json({ message: stored.error });
+      image = stored.urls.full;
+      imageVariants = stored.urls;
+    }
+    const updateData = { title, shortDescription, fullDescription, category, emotionalTone, visibility, accessLevel, image, imageVariants };
+    if (req.lesson.hiddenByAdmin && visibility === "public") updateData.hiddenByAdmin = false;
+
+    await lessonsCollection.updateOne({ _id: lessonId }, { $set: updateData });
+    if (req.isAdminOverride) {
+      await recordAudit(req, {
+        action: "lesson.update.admin_override",
+        target: { type: "lesson", id: lessonId, owner: req.lesson.creator?.email },
+        before: lessonAuditSnapshot(req.lesson),
+        after: lessonAuditSnapshot({ ...req.lesson, ...updateData }),
+      });
+    }
+
+    res.json({ success: true, updatedLesson: updateData });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to update lesson" });
+  }
+});
+
+/* ---------- GET PUBLIC LESSONS ---------- */
+const LESSON_SORTS = {
+  newest: "createdAt",
+  mostLiked: "likesCount",
+  mostSaved: "favoritesCount",
+};
+
+// Filters shared by the public listing and search; private lessons are never listed
+const buildLessonFilter = ({ category, emotionalTone, accessLevel, creator }) => {
+  const filter = visibleLessonFilter();
+  if (category) filter.category = category;
+  if (emotionalTone) filter.emotionalTone = emotionalTone;
+  if (accessLevel) filter.accessLevel = accessLevel;
+  if (creator) filter["creator.email"] = creator;
+  return filter;
+};
+
+// Strips per-user arrays and the premium body from lessons shown in lists
+const publicLessonStages = [
+  { $set: { fullDescription: { $cond: [{ $eq: ["$accessLevel", "premium"] }, "$$REMOVE", "$fullDescription"] } } },
+  { $unset: ["likedBy", "favoritedBy"] },
+];
+
+// Cursors are opaque base64 strings holding the last item's sort value and _id
+const encodeCursor = (lesson, sortField) =>
+  Buffer.from(JSON.stringify({ v: lesson[sortField], id: lesson._id })).toString("base64url");
+
+const decodeCursor = (cursor, sortField) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!ObjectId.isValid(id)) return null;
+    return { value: sortField === "createdAt" ? new Date(v) : v, id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// GET /lessons?category=&emotionalTone=&accessLevel=&creator=&sort=newest|mostLiked|mostSaved&page=1&limit=12
+// Pass ?cursor=<nextCursor> instead of page for infinite scrolling.
+app.get("/lessons", async (req, res) => {
+  try {
+    const sortKey = LESSON_SORTS[req.query.sort] ? req.query.sort : "newest";
+    const sortField = LESSON_SORTS[sortKey];
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const { cursor } = req.query;
+
+    const filter = buildLessonFilter(req.query);
+    const match = { ...filter };
+    if (cursor) {
+      const after = decodeCursor(cursor, sortField);
+      if (!after) return res.status(400).json({ message: "Invalid cursor" });
+      match.$or = [
+        { [sortField]: { $lt: after.value } },
+        { [sortField]: after.value, _id: { $lt: after.id } },
+      ];
+    }
+
+    const total = await lessonsCollection.countDocuments(filter);
+    const lessons = await lessonsCollection.aggregate([
+      { $match: match },
+      { $sort: { [sortField]: -1, _id: -1 } },
+      ...(cursor ? [] : [{ $skip: (page - 1) * limit }]),
+      { $limit: limit },
+      ...publicLessonStages,
+    ]).toArray();
+
+    const nextCursor = lessons.length === limit ? encodeCursor(lessons[lessons.length - 1], sortField) : null;
+
+    res.json({
+      lessons,
+      total,
+      page: cursor ? null : page,
+      totalPages: Math.ceil(total / limit),
+      nextCursor,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch lessons" });
+  }
+});
+
+/* ---------- SEARCH LESSONS ---------- */
+const SEARCH_SNIPPET_RADIUS = 60;
+
+const escapeHtml = (str) =>
+  str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Builds an HTML-safe excerpt around the first matched term, with every match wrapped in <mark>
+const buildSnippet = (text, terms) => {
+  if (!text) return null;
+  const pattern = new RegExp(terms.map(escapeRegex).join("|"), "gi");
+  const first = text.search(pattern);
+  if (first === -1) return null;
+
+  const start = Math.max(first - SEARCH_SNIPPET_RADIUS, 0);
+  const end = Math.min(first + SEARCH_SNIPPET_RADIUS * 2, text.length);
+  const excerpt = escapeHtml(text.slice(start, end));
+  const highlighted = excerpt.replace(new RegExp(terms.map((t) => escapeRegex(escapeHtml(t))).join("|"), "gi"), (m) => `<mark>${m}</mark>`);
+
+  return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+};
+
+// GET /lessons/search?q=&category=&emotionalTone=&accessLevel=&creator=&page=1&limit=12
+app.get("/lessons/search", async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!q) return res.status(400).json({ message: "Search query is required" });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = { ...buildLessonFilter(req.query), $text: { $search: q } };
+    const total = await lessonsCollection.countDocuments(filter);
+    const results = await lessonsCollection.aggregate([
+      { $match: filter },
+      { $set: { score: { $meta: "textScore" } } },
+      { $sort: { score: -1, _id: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+    ]).toArray();
+
+    const terms = q.replace(/"/g, " ").split(/\s+/).filter((t) => t && !t.startsWith("-"));
+    const searchable = ["title", "shortDescription", "category", "fullDescription"];
+
+    const lessons = results.map(({ likedBy, favoritedBy, ...lesson }) => {
+      const isPremium = lesson.accessLevel === "premium";
+      const highlights = {};
+      for (const field of searchable) {
+        // Premium bodies stay locked, even as snippets
+        if (field === "fullDescription" && isPremium) continue;
+        const snippet = buildSnippet(lesson[field], terms);
+        if (snippet) highlights[field] = snippet;
+      }
+      if (isPremium) delete lesson.fullDescription;
+      return { ...lesson, highlights };
+    });
+
+    res.json({ lessons, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error("Search Error:", error);
+    res.status(500).json({ message: "Failed to search lessons" });
+  }
+});
+
+/* ---------- GET SINGLE LESSON ---------- */
+const PREMIUM_PREVIEW_LENGTH = 200;
+
+// Private and unpublished lessons (and their discussion) do not exist for anyone but their creator
+const canViewLesson = (lesson, email) => {
+  return (lesson.visibility !== "private" && isLessonPublished(lesson)) || (!!email && lesson.creator?.email === email);
+};
+
+app.get("/lessons/:id", optionalFirebaseToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+
+    const lesson = await lessonsCollection.findOne({ _id: new ObjectId(id) });
+    if (!lesson) return res.status(404).json({ message: "Lesson not found" });
+
+    const email = req.decoded?.email;
+    const hasClaims = req.decoded?.role !== undefined;
+    const viewer = email && !hasClaims ? await usersCollection.findOne({ email }) : null;
+    const isCreator = !!email && lesson.creator?.email === email;
+    const isAdmin = (hasClaims ? req.decoded.role : viewer?.role) === "admin";
+
+    if (!canViewLesson(lesson, email)) return res.status(404).json({ message: "Lesson not found" });
+
+    const { likedBy = [], favoritedBy = [], ...rest } = lesson;
+    const response = {
+      ...rest,
+      isLiked: !!email && likedBy.some((l) => l.email === email),
+      isFavorited: !!email && favoritedBy.some((f) => f.email === email),
+      isLocked: false,
+    };
+
+    const canReadPremium = isCreator || isAdmin || (hasClaims ? tokenHasPremium(req.decoded) : hasPremiumAccess(viewer));
+    if (lesson.accessLevel === "premium" && !canReadPremium) {
+      const source = lesson.shortDescription || lesson.fullDescription || "";
+      delete response.fullDescription;
+      response.preview = source.length > PREMIUM_PREVIEW_LENGTH ? `${source.slice(0, PREMIUM_PREVIEW_LENGTH)}…` : source;
+      response.isLocked = true;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch lesson" });
+  }
+});
+
+/* ---------- LIKES ---------- */
+// Like a lesson (one like per user)
+app.post("/lessons/:id/like", verifyFirebaseToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+    const { email, uid } = req.decoded;
+
+    const like = { email, uid, likedAt: new Date() };
+    const result = await lessonsCollection.updateOne(
+      { _id: new ObjectId(id), "likedBy.email": { $ne: email }, ...visibleLessonFilter() },
+      { $push: { likedBy: like }, $inc: { likesCount: 1 } }
+    );
+
+    if (result.matchedCount === 0) {
+      const exists = await lessonsCollection.countDocuments({ _id: new ObjectId(id), ...visibleLessonFilter() });
+      if (!exists) return res.status(404).json({ message: "Lesson not found" });
+      return res.status(409).json({ message: "Lesson already liked" });
+    }
+
+    const lesson = await lessonsCollection.findOne({ _id: new ObjectId(id) }, { projection: { likesCount: 1 } });
+    res.json({ success: true, liked: true, likesCount: lesson?.likesCount || 0 });
+  } catch (error) {
+    console.error("Like Error:", error);
+    res.status(500).json({ message: "Failed to like lesson" });
+  }
+});
+
+// Unlike a lesson
+app.delete("/lessons/:id/like", verifyFirebaseToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+    const email = req.decoded.email;
+
+    const result = await lessonsCollection.updateOne(
+      { _id: new ObjectId(id), "likedBy.email": email },
+      { $pull: { likedBy: { email } }, $inc: { likesCount: -1 } }
+    );
+
+    if (result.matchedCount === 0) {
+      const exists = await lessonsCollection.countDocuments({ _id: new ObjectId(id) });
+      if (!exists) return res.status(404).json({ message: "Lesson not found" });
+      return res.status(409).json({ message: "Lesson not liked yet" });
+    }
+
+    const lesson = await lessonsCollection.findOne({ _id: new ObjectId(id) }, { projection: { likesCount: 1 } });
+    res.json({ success: true, liked: false, likesCount: lesson?.likesCount || 0 });
+  } catch (error) {
+    console.error("Unlike Error:", error);
+    res.status(500).json({ message: "Failed to unlike lesson" });
+  }
+});
+
+// GET lessons liked by logged-in user
+app.get("/dashboard/liked-lessons", verifyFirebaseToken, async (req, res) => {
+  try {
+    const email = req.decoded.email;
+    // Liking a lesson must not unlock it: hidden lessons drop out and premium bodies are stripped as in /lessons
+    const lessons = await lessonsCollection
+      .aggregate([
+        { $match: { "likedBy.email": email, ...visibleLessonFilter() } },
+        { $sort: { createdAt: -1 } },
+        ...publicLessonStages,
+      ])
+      .toArray();
+    res.json(lessons);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch liked lessons" });
+  }
+});
+
+/* ---------- FAVORITES ---------- */
+// Save a lesson to favorites
+app.post("/lessons/:id/favorite", verifyFirebaseToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+    const { email, uid } = req.decoded;
+
+    const favorite = { email, uid, savedAt: new Date() };
+    const result = await lessonsCollection.updateOne(
+      { _id: new ObjectId(id), "favoritedBy.email": { $ne: email }, ...visibleLessonFilter() },
+      { $push: { favoritedBy: favorite }, $inc: { favoritesCount: 1 } }
+    );
+
+    if (result.matchedCount === 0) {
+      const exists = await lessonsCollection.countDocuments({ _id: new ObjectId(id), ...visibleLessonFilter() });
+      if (!exists) return res.status(404).json({ message: "Lesson not found" });
+      return res.status(409).json({ message: "Lesson already saved" });
+    }
+
+    const lesson = await lessonsCollection.findOne({ _id: new ObjectId(id) }, { projection: { favoritesCount: 1 } });
+    res.json({ success: true, saved: true, favoritesCount: lesson?.favoritesCount || 0 });
+  } catch (error) {
+    console.error("Favorite Error:", error);
+    res.status(500).json({ message: "Failed to save lesson" });
+  }
+});
+
+// Remove a lesson from favorites
+app.delete("/lessons/:id/favorite", verifyFirebaseToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+    const email = req.decoded.email;
+
+    const result = await lessonsCollection.updateOne(
+      { _id: new ObjectId(id), "favoritedBy.email": email },
+      { $pull: { favoritedBy: { email } }, $inc: { favoritesCount: -1 } }
+    );
+
+    if (result.matchedCount === 0) {
+      const exists = await lessonsCollection.countDocuments({ _id: new ObjectId(id) });
+      if (!exists) return res.status(404).json({ message: "Lesson not found" });
+      return res.status(409).json({ message: "Lesson not saved yet" });
+    }
+
+    const lesson = await lessonsCollection.findOne({ _id: new ObjectId(id) }, { projection: { favoritesCount: 1 } });
+    res.json({ success: true, saved: false, favoritesCount: lesson?.favoritesCount || 0 });
+  } catch (error) {
+    console.error("Unfavorite Error:", error);
+    res.status(500).json({ message: "Failed to remove lesson from favorites" });
+  }
+});
+
+// GET favorites of logged-in user (?page=1&limit=10&category=...&emotionalTone=...)
+app.get("/dashboard/my-favorites", verifyFirebaseToken, async (req, res) => {
+  try {
+    const email = req.decoded.email;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const { category, emotionalTone } = req.query;
+
+    // Lessons made private, hidden or unpublished after saving drop out of the list
+    const query = { "favoritedBy.email": email, ...visibleLessonFilter() };
+    if (category) query.category = category;
+    if (emotionalTone) query.emotionalTone = emotionalTone;
+
+    const total = await lessonsCollection.countDocuments(query);
+    const lessons = await lessonsCollection
+      .aggregate([{ $match: query }, { $sort: { createdAt: -1 } }, { $skip: (page - 1) * limit }, { $limit: limit }, ...publicLessonStages])
+      .toArray();
+
+    res.json({ lessons, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch favorites" });
+  }
+});
+
+/* ---------- COMMENTS ---------- */
+// Comments live in their own collection so a lesson document never grows with its discussion.
+// Each comment keeps its parent chain in `ancestors`, which lets us load or delete a whole thread at once.
+const COMMENT_MAX_LENGTH = 2000;
+
+// GET comments of a lesson (?sort=newest|oldest&cursor=<commentId>&limit=10)
+app.get("/lessons/:id/comments", optionalFirebaseToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+    const lesson = await lessonsCollection.findOne({ _id: new ObjectId(id) }, { projection: { visibility: 1, status: 1, publishAt: 1, creator: 1 } });
+    if (!lesson || !canViewLesson(lesson, req.decoded?.email)) return res.status(404).json({ message: "Lesson not found" });
+    const { cursor } = req.query;
+    if (cursor && !ObjectId.isValid(cursor)) return res.status(400).json({ message: "Invalid cursor" });
+
+    const sortDir = req.query.sort === "oldest" ? 1 : -1;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const query = { lessonId: new ObjectId(id), parentId: null };
+    if (cursor) query._id = sortDir === 1 ? { $gt: new ObjectId(cursor) } : { $lt: new ObjectId(cursor) };
+
+    const topLevel = await commentsCollection
+      .find(query)
+      .sort({ _id: sortDir })
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = topLevel.length > limit;
+    const comments = hasMore ? topLevel.slice(0, limit) : topLevel;
+
+    // Replies of every depth for the returned threads, oldest first so the client can build the tree in order
+    const replies = comments.length
+      ? await commentsCollection
+          .find({ ancestors: { $in: comments.map((c) => c._id) } })
+          .sort({ _id: 1 })
+          .toArray()
+      : [];
+
+    res.json({
+      comments,
+      replies,
+      nextCursor: hasMore ? comments[comments.length - 1]._id : null,
+    });
   } catch (error) {
     console.error(error);
-    res.status(500).json({ message: "Failed to fetch user status" });
+    res.status(500).json({ message: "Failed to fetch comments" });
   }
 });
 
+// Add a comment or a reply (body: { text, parentId? })
+app.post("/lessons/:id/comments", verifyFirebaseToken, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+    const { parentId } = req.body;
+    if (!text) return res.status(400).json({ message: "Comment text is required" });
+    if (text.length > COMMENT_MAX_LENGTH) {
+      return res.status(400).json({ message: `Comment must be at most ${COMMENT_MAX_LENGTH} characters` });
+    }
 
+    const lessonId = new ObjectId(id);
+    const lesson = await lessonsCollection.findOne(
+      { _id: lessonId },
+      { projection: { visibility: 1, status: 1, publishAt: 1, creator: 1 } }
+    );
+    if (!lesson || !canViewLesson(lesson, req.decoded.email)) return res.status(404).json({ message: "Lesson not found" });
+
+    let ancestors = [];
+    if (parentId) {
+      if (!ObjectId.isValid(parentId)) return res.status(400).json({ message: "Invalid parent comment id" });
+      const parent = await commentsCollection.findOne({ _id: new ObjectId(parentId), lessonId });
+      if (!parent) return res.status(404).json({ message: "Parent comment not found" });
+      ancestors = [...parent.ancestors, parent._id];
+    }
 
+    const user = await usersCollection.findOne({ email: req.decoded.email });
 
+    const comment = {
+      lessonId,
+      parentId: parentId ? new ObjectId(parentId) : null,
+      ancestors,
+      text,
+      author: {
+        name: user?.name || "Anonymous",
+        email: req.decoded.email,
+        uid: req.decoded.uid,
+        photo: user?.photoURL || "",
+      },
+      createdAt: new Date(),
+      updatedAt: null,
+    };
 
+    const result = await commentsCollection.insertOne(comment);
+    await lessonsCollection.updateOne({ _id: lessonId }, { $inc: { commentsCount: 1 } });
 
-/* ---------- OTHER ROUTES ---------- */
-// GET all lessons of logged-in user
-app.get("/dashboard/my-lessons", verifyFirebaseToken, async (req, res) => {
-  try {
-    const email = req.decoded.email;
-    const lessons = await myLessonsCollection
-      .find({ "creator.email": email })
-      .sort({ createdAt: -1 })
-      .toArray();
-    res.json(lessons);
+    res.json({ success: true, comment: { ...comment, _id: result.insertedId } });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Failed to fetch my lessons" });
+    console.error("Add Comment Error:", error);
+    res.status(500).json({ message: "Failed to add comment" });
   }
 });
 
-// DELETE lesson
-app.delete("/dashboard/my-lessons/:id", verifyFirebaseToken, async (req, res) => {
+// Edit own comment
+app.patch("/comments/:commentId", verifyFirebaseToken, async (req, res) => {
   try {
-    const lessonId = req.params.id;
-    await myLessonsCollection.deleteOne({ _id: new ObjectId(lessonId) });
-    await publicLessonsCollection.deleteOne({ _id: new ObjectId(lessonId) });
-    res.json({ success: true });
+    const commentId = req.params.commentId;
+    if (!ObjectId.isValid(commentId)) return res.status(400).json({ message: "Invalid comment id" });
+
+    const text = typeof req.body.text === "string" ? req.body.text.trim() : "";
+    if (!text) return res.status(400).json({ message: "Comment text is required" });
+    if (text.length > COMMENT_MAX_LENGTH) {
+      return res.status(400).json({ message: `Comment must be at most ${COMMENT_MAX_LENGTH} characters` });
+    }
+
+    const comment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
+    if (!comment) return res.status(404).json({ message: "Comment not found" });
+    if (comment.author.email !== req.decoded.email) return res.status(403).json({ message: "Forbidden" });
+
+    const updatedAt = new Date();
+    await commentsCollection.updateOne({ _id: comment._id }, { $set: { text, updatedAt } });
+
+    res.json({ success: true, comment: { ...comment, text, updatedAt } });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Failed to delete lesson" });
+    console.error("Edit Comment Error:", error);
+    res.status(500).json({ message: "Failed to update comment" });
   }
 });
 
-// UPDATE lesson
-app.put("/dashboard/my-lessons/:id", verifyFirebaseToken, async (req, res) => {
+// Delete a comment with all its replies (author, moderator or admin)
+app.delete("/comments/:commentId", verifyFirebaseToken, async (req, res) => {
   try {
-    const lessonId = req.params.id;
-    const { title, shortDescription, fullDescription, category, emotionalTone, visibility, accessLevel, image } = req.body;
-    const updateData = { title, shortDescription, fullDescription, category, emotionalTone, visibility, accessLevel, image };
+    const commentId = req.params.commentId;
+    if (!ObjectId.isValid(commentId)) return res.status(400).json({ message: "Invalid comment id" });
 
-    await myLessonsCollection.updateOne({ _id: new ObjectId(lessonId) }, { $set: updateData });
-    await publicLessonsCollection.updateOne({ _id: new ObjectId(lessonId) }, { $set: updateData });
+    const comment = await commentsCollection.findOne({ _id: new ObjectId(commentId) });
+    if (!comment) return res.status(404).json({ message: "Comment not found" });
 
-    res.json({ success: true, updatedLesson: updateData });
+    const isModeration = comment.author.email !== req.decoded.email;
+    if (isModeration) {
+      const role = await verifiedRole(req).catch(() => null);
+      if (!["moderator", "admin"].includes(role)) return res.status(403).json({ message: "Forbidden" });
+    }
+
+    const result = await commentsCollection.deleteMany({
+      $or: [{ _id: comment._id }, { ancestors: comment._id }],
+    });
+    await lessonsCollection.updateOne({ _id: comment.lessonId }, { $inc: { commentsCount: -result.deletedCount } });
+    if (isModeration) {
+      await recordAudit(req, {
+        action: "comment.delete",
+        target: { type: "comment", id: comment._id, owner: comment.author.email },
+        before: { text: comment.text, lessonId: comment.lessonId },
+        details: { deletedCount: result.deletedCount },
+      });
+    }
+
+    res.json({ success: true, deletedCount: result.deletedCount });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Failed to update lesson" });
+    console.error("Delete Comment Error:", error);
+    res.status(500).json({ message: "Failed to delete comment" });
   }
 });
 
-/* ---------- GET PUBLIC LESSONS ---------- */
-app.get("/lessons", async (req, res) => {
+/* ---------- REPORT LESSON ---------- */
+const REPORT_REASON_MAX_LENGTH = 500;
+
+app.post("/lessons/:id/report", verifyFirebaseToken, async (req, res) => {
   try {
-    const lessons = await publicLessonsCollection.find().toArray();
-    res.json(lessons);
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (!reason) return res.status(400).json({ message: "Reason is required" });
+    if (reason.length > REPORT_REASON_MAX_LENGTH) {
+      return res.status(400).json({ message: `Reason must be at most ${REPORT_REASON_MAX_LENGTH} characters` });
+    }
+
+    const lessonId = new ObjectId(id);
+    const email = req.decoded.email;
+    const lesson = await lessonsCollection.findOne(
+      { _id: lessonId },
+      { projection: { visibility: 1, status: 1, publishAt: 1, creator: 1 } }
+    );
+    if (!lesson || !canViewLesson(lesson, email)) return res.status(404).json({ message: "Lesson not found" });
+
+    // One pending report per reporter and lesson, enforced by the lesson_reporter_pending index
+    const user = await usersCollection.findOne({ email });
+    try {
+      await reportsCollection.insertOne({
+        lessonId,
+        reason,
+        reporter: { name: user?.name || "Anonymous", email, uid: req.decoded.uid },
+        status: "pending",
+        createdAt: new Date(),
+      });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ message: "You have already reported this lesson" });
+      throw err;
+    }
+
+    await lessonsCollection.updateOne({ _id: lessonId }, { $set: { isReported: true } });
+
+    res.json({ success: true, message: "Lesson reported" });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Failed to fetch lessons" });
+    console.error("Report Lesson Error:", error);
+    res.status(500).json({ message: "Failed to report lesson" });
   }
 });
 
 // ======================= ADMIN DASHBOARD STATS =======================
-app.get("/admin/dashboard-stats", async (req, res) => {
+app.get("/admin/dashboard-stats", verifyAdmin, async (req, res) => {
   try {
     const totalUsers = await usersCollection.countDocuments();
-    const totalLessons = await publicLessonsCollection.countDocuments();
-    const reportedLessons = await publicLessonsCollection.countDocuments({ isReported: true });
+    const totalLessons = await lessonsCollection.countDocuments();
+    const reportedLessons = await lessonsCollection.countDocuments({ isReported: true });
 
     const oneWeekAgo = new Date();
     oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-    const weeklyCount = await publicLessonsCollection.countDocuments({
+    const weeklyCount = await lessonsCollection.countDocuments({
       createdAt: { $gte: oneWeekAgo },
     });
 
+    // Revenue per currency, in its smallest unit (cents for usd); plans may be priced in any currency
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const revenue = await paymentsCollection.aggregate([
+      { $match: { status: { $in: REVENUE_STATUSES } } },
+      {
+        $group: {
+          _id: "$currency",
+          totalRevenue: { $sum: netPaymentAmount },
+          monthlyRevenue: { $sum: { $cond: [{ $gte: ["$paidAt", thirtyDaysAgo] }, netPaymentAmount, 0] } },
+          payments: { $sum: 1 },
+        },
+      },
+      { $project: { _id: 0, currency: "$_id", totalRevenue: 1, monthlyRevenue: 1, payments: 1 } },
+      { $sort: { totalRevenue: -1 } },
+    ]).toArray();
+    const premiumUsers = await usersCollection.countDocuments({ isPremium: true });
+
     res.json({
       totalUsers,
       totalLessons,
       reportedLessons,
       weeklyGrowth: `+${weeklyCount}`,
+      premiumUsers,
+      revenue,
+      totalPayments: revenue.reduce((sum, r) => sum + r.payments, 0),
     });
   } catch (err) {
     console.error(err);
@@ -399,7 +2683,7 @@ app.get("/admin/dashboard-stats", async (req, res) => {
   }
 });
 
-app.get("/admin/recent-users", async (req, res) => {
+app.get("/admin/recent-users", verifyAdmin, async (req, res) => {
   try {
     const users = await usersCollection
       .find()
@@ -415,9 +2699,9 @@ app.get("/admin/recent-users", async (req, res) => {
   }
 });
 
-app.get("/admin/recent-lessons", async (req, res) => {
+app.get("/admin/recent-lessons", verifyAdmin, async (req, res) => {
   try {
-    const lessons = await publicLessonsCollection
+    const lessons = await lessonsCollection
       .find()
       .sort({ createdAt: -1 })
       .limit(5)
@@ -432,15 +2716,12 @@ app.get("/admin/recent-lessons", async (req, res) => {
 });
 
 /* ---------- GET ALL USERS ---------- */
-app.get("/admin/manage-users", verifyFirebaseToken, async (req, res) => {
+app.get("/admin/manage-users", verifyAdmin, async (req, res) => {
   try {
-    const adminUser = await usersCollection.findOne({ email: req.decoded.email });
-    if (adminUser?.role !== "admin") return res.status(403).json({ message: "Forbidden" });
-
     const users = await usersCollection
       .find()
       .sort({ createdAt: -1 })
-      .project({ name: 1, email: 1, role: 1 })
+      .project({ name: 1, email: 1, role: 1, status: 1, purgeAfter: 1 })
       .toArray();
 
     res.json(users);
@@ -450,31 +2731,224 @@ app.get("/admin/manage-users", verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/* ---------- ACCOUNT DELETION ---------- */
+// Deleting a user is a two-step workflow: the account is disabled and scheduled first,
+// then purged once the grace period ends (or right away with ?immediate=true).
+const DELETION_GRACE_DAYS = 14;
+const DELETION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DELETED_AUTHOR = { name: "Deleted user", email: null, uid: null, photo: "" };
+
+const deleteFirebaseUser = async (uid) => {
+  if (!uid) return false;
+  try {
+    await admin.auth().deleteUser(uid);
+    return true;
+  } catch (err) {
+    if (err.code === "auth/user-not-found") return false;
+    throw err;
+  }
+};
+
+// Removes or anonymizes everything tied to the user and returns what was touched, per collection
+const purgeUserData = async (user) => {
+  const { email } = user;
+  const report = {};
+
+  // Their lessons, plus the comments and reports hanging off them
+  const lessonIds = await lessonsCollection.distinct("_id", { "creator.email": email });
+  report.lessonComments = (await commentsCollection.deleteMany({ lessonId: { $in: lessonIds } })).deletedCount;
+  report.lessonReports = (await reportsCollection.deleteMany({ lessonId: { $in: lessonIds } })).deletedCount;
+  report.lessons = (await lessonsCollection.deleteMany({ "creator.email": email })).deletedCount;
+
+  // Likes and favorites left on other people's lessons
+  report.likes = (
+    await lessonsCollection.updateMany(
+      { "likedBy.email": email },
+      { $pull: { likedBy: { email } }, $inc: { likesCount: -1 } }
+    )
+  ).modifiedCount;
+  report.favorites = (
+    await lessonsCollection.updateMany(
+      { "favoritedBy.email": email },
+      { $pull: { favoritedBy: { email } }, $inc: { favoritesCount: -1 } }
+    )
+  ).modifiedCount;
+
+  // Comments on other lessons stay as "[deleted]" placeholders so reply threads keep their shape
+  report.comments = (
+    await commentsCollection.updateMany(
+      { "author.email": email },
+      { $set: { author: DELETED_AUTHOR, text: "[deleted]", isDeleted: true, updatedAt: new Date() } }
+    )
+  ).modifiedCount;
+  report.posts = (await postsCollection.deleteMany({ authorEmail: email })).deletedCount;
+  report.follows = (
+    await followsCollection.deleteMany({ $or: [{ followerEmail: email }, { followingEmail: email }] })
+  ).deletedCount;
+
+  // Their uploaded files; the lessons and profile pointing at them are gone. Uploads written by a storage
+  // driver other than the active one cannot be removed from here; their records stay for that driver's GC.
+  const uploadsFilter = user.uid ? { $or: [{ ownerUid: user.uid }, { ownerEmail: email }] } : { ownerEmail: email };
+  report.uploads = 0;
+  report.uploadedFiles = 0;
+  for await (const upload of uploadsCollection.find({ ...uploadsFilter, storage: fileStorage.name })) {
+    for (const variant of Object.values(upload.variants || {})) {
+      await fileStorage.remove(variant.key);
+      report.uploadedFiles++;
+    }
+    await uploadsCollection.deleteOne({ _id: upload._id });
+    report.uploads++;
+  }
+  report.reportsFiled = (
+    await reportsCollection.updateMany({ "reporter.email": email }, { $set: { reporter: DELETED_AUTHOR } })
+  ).modifiedCount;
+
+  // Payments are kept for bookkeeping, stripped of who made them
+  report.payments = (
+    await paymentsCollection.updateMany({ email }, { $set: { email: null, uid: null, anonymizedAt: new Date() } })
+  ).modifiedCount;
+
+  if (user.subscription?.id && ACTIVE_SUBSCRIPTION_STATUSES.includes(user.subscription.status)) {
+    await stripe.subscriptions.cancel(user.subscription.id).catch((err) => {
+      if (err.code !== "resource_missing") throw err;
+    });
+    report.subscriptionCanceled = true;
+  }
+
+  report.firebaseAccount = await deleteFirebaseUser(user.uid);
+  report.user = (await usersCollection.deleteOne({ _id: user._id })).deletedCount;
+  return report;
+};
+
+// Disables sign-in and marks the account for purging after the grace period
+const scheduleUserDeletion = async (user, requestedBy) => {
+  const purgeAfter = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await usersCollection.updateOne(
+    { _id: user._id },
+    { $set: { status: "pending_deletion", deletionRequestedAt: new Date(), deletionRequestedBy: requestedBy, purgeAfter } }
+  );
+  if (user.uid) {
+    await admin.auth().updateUser(user.uid, { disabled: true }).catch((err) => {
+      if (err.code !== "auth/user-not-found") throw err;
+    });
+    await admin.auth().revokeRefreshTokens(user.uid).catch((err) => {
+      if (err.code !== "auth/user-not-found") throw err;
+    });
+  }
+  return purgeAfter;
+};
+
+// Background jobs have no request; their audit entries show the "system" actor
+const SYSTEM_AUDIT_REQUEST = { decoded: { email: null, uid: null, role: "system" }, ip: null, headers: {} };
+
+// Runs on a timer where the process stays up, and from cron on serverless deployments
+const purgeScheduledDeletions = async () => {
+  try {
+    await connectDB();
+    const due = await usersCollection.find({ status: "pending_deletion", purgeAfter: { $lte: new Date() } }).toArray();
+    for (const user of due) {
+      const report = await purgeUserData(user);
+      console.log(`🗑️ Purged user ${user.email}:`, report);
+      await recordAudit(SYSTEM_AUDIT_REQUEST, {
+        action: "user.purged",
+        target: { type: "user", id: user.email },
+        before: userAuditSnapshot(user),
+        details: { report, deletionRequestedBy: user.deletionRequestedBy || null, purgeAfter: user.purgeAfter },
+      });
+    }
+    return due.length;
+  } catch (err) {
+    console.error("Deletion Sweep Error:", err);
+    return null;
+  }
+};
+
+setInterval(purgeScheduledDeletions, DELETION_SWEEP_INTERVAL_MS).unref();
+
+app.get("/cron/purge-deleted-users", verifyCronSecret, async (req, res) => {
+  const purged = await purgeScheduledDeletions();
+  if (purged === null) return res.status(500).json({ message: "Failed to purge deleted users" });
+  res.json({ success: true, purged });
+});
+
+// DELETE /admin/manage-users/:email (or /admin/users/:email); add ?immediate=true to skip the grace period
+const deleteUserHandler = async (req, res) => {
+  try {
+    const email = decodeURIComponent(req.params.email);
+    if (email === req.decoded.email) return res.status(400).json({ message: "Admins cannot delete themselves here" });
+
+    const user = await usersCollection.findOne({ email });
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    if (req.query.immediate === "true") {
+      const report = await purgeUserData(user);
+      await recordAudit(req, {
+        action: "user.delete",
+        target: { type: "user", id: email },
+        before: userAuditSnapshot(user),
+        details: { immediate: true, report },
+      });
+      return res.json({ success: true, purged: true, report });
+    }
+
+    if (user.status === "pending_deletion") {
+      return res.status(409).json({ message: "User is already scheduled for deletion", purgeAfter: user.purgeAfter });
+    }
+
+    const purgeAfter = await scheduleUserDeletion(user, req.decoded.email);
+    await recordAudit(req, {
+      action: "user.delete_scheduled",
+      target: { type: "user", id: email },
+      before: userAuditSnapshot(user),
+      details: { purgeAfter },
+    });
+    res.json({ success: true, purged: false, purgeAfter });
+  } catch (err) {
+    console.error("Delete User Error:", err);
+    res.status(500).json({ message: "Failed to delete user" });
+  }
+};
+
 /* ---------- DELETE USER ---------- */
-app.delete("/admin/manage-users/:email", verifyFirebaseToken, async (req, res) => {
+app.delete("/admin/manage-users/:email", verifyAdmin, deleteUserHandler);
+
+/* ---------- RESTORE USER (within the grace period) ---------- */
+app.post("/admin/manage-users/:email/restore", verifyAdmin, async (req, res) => {
   try {
-    const adminUser = await usersCollection.findOne({ email: req.decoded.email });
-    if (adminUser?.role !== "admin") return res.status(403).json({ message: "Forbidden" });
+    const email = decodeURIComponent(req.params.email);
+    const user = await usersCollection.findOne({ email, status: "pending_deletion" });
+    if (!user) return res.status(404).json({ message: "No pending deletion for this user" });
 
-    const email = req.params.email;
-    await usersCollection.deleteOne({ email });
-    await publicLessonsCollection.deleteMany({ "creator.email": email });
+    await usersCollection.updateOne(
+      { _id: user._id },
+      {
+        $set: { status: "active" },
+        $unset: { deletionRequestedAt: "", deletionRequestedBy: "", purgeAfter: "" },
+      }
+    );
+    if (user.uid) await admin.auth().updateUser(user.uid, { disabled: false });
 
+    await recordAudit(req, { action: "user.restore", target: { type: "user", id: email } });
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Failed to delete user" });
+    console.error("Restore User Error:", err);
+    res.status(500).json({ message: "Failed to restore user" });
   }
 });
 
 /* ---------- PROMOTE USER TO ADMIN ---------- */
-app.put("/admin/manage-users/:email/promote", verifyFirebaseToken, async (req, res) => {
+app.put("/admin/manage-users/:email/promote", verifyAdmin, async (req, res) => {
   try {
-    const adminUser = await usersCollection.findOne({ email: req.decoded.email });
-    if (adminUser?.role !== "admin") return res.status(403).json({ message: "Forbidden" });
-
     const email = req.params.email;
+    const before = await usersCollection.findOne({ email });
     await usersCollection.updateOne({ email }, { $set: { role: "admin" } });
+    await syncUserClaims(email);
+    await recordAudit(req, {
+      action: "user.role_change",
+      target: { type: "user", id: email },
+      before: { role: before?.role || null },
+      after: { role: "admin" },
+    });
     res.json({ success: true });
   } catch (err) {
     console.error(err);
@@ -483,7 +2957,7 @@ app.put("/admin/manage-users/:email/promote", verifyFirebaseToken, async (req, r
 });
 
 // ================== ADMIN MANAGE USERS TEST & ACTIONS ==================
-app.get("/admin/manage-users-test", async (req, res) => {
+app.get("/admin/manage-users-test", verifyAdmin, async (req, res) => {
   try {
     const users = await usersCollection
       .find()
@@ -496,34 +2970,44 @@ app.get("/admin/manage-users-test", async (req, res) => {
   }
 });
 
-app.delete("/admin/users/:email", async (req, res) => {
-  try {
-    const email = req.params.email;
-    await usersCollection.deleteOne({ email });
-    res.json({ success: true });
-  } catch (err) {
-    res.status(500).json({ message: "Failed to delete user" });
-  }
-});
+app.delete("/admin/users/:email", verifyAdmin, deleteUserHandler);
 
-app.patch("/admin/users/promote/:email", async (req, res) => {
+app.patch("/admin/users/promote/:email", verifyAdmin, async (req, res) => {
   try {
     const email = req.params.email;
     const { role } = req.body;
+    if (!ROLES.includes(role)) return res.status(400).json({ message: "Invalid role" });
+    const before = await usersCollection.findOne({ email });
     await usersCollection.updateOne({ email }, { $set: { role } });
+    await syncUserClaims(email);
+    await recordAudit(req, {
+      action: "user.role_change",
+      target: { type: "user", id: email },
+      before: { role: before?.role || null },
+      after: { role },
+    });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ message: "Failed to promote user" });
   }
 });
 
-app.patch("/admin/users/role/:email", async (req, res) => {
+app.patch("/admin/users/role/:email", verifyAdmin, async (req, res) => {
   try {
     const email = decodeURIComponent(req.params.email);
     const { role } = req.body;
     if (!role) return res.status(400).send({ message: "Role is required" });
-    const result = await usersCollection.updateOne({ email }, { $set: { role } });
-    if (result.matchedCount === 0) return res.status(404).send({ message: "User not found" });
+    if (!ROLES.includes(role)) return res.status(400).send({ message: "Invalid role" });
+    const before = await usersCollection.findOne({ email });
+    if (!before) return res.status(404).send({ message: "User not found" });
+    await usersCollection.updateOne({ email }, { $set: { role } });
+    await syncUserClaims(email);
+    await recordAudit(req, {
+      action: "user.role_change",
+      target: { type: "user", id: email },
+      before: { role: before.role },
+      after: { role },
+    });
     res.send({ success: true, role });
   } catch (error) {
     res.status(500).send({ message: "Failed to update role" });
@@ -531,9 +3015,9 @@ app.patch("/admin/users/role/:email", async (req, res) => {
 });
 
 /* ---------- ADMIN: MANAGE LESSONS ---------- */
-app.get("/admin/manage-lessons", async (req, res) => {
+app.get("/admin/manage-lessons", verifyAdmin, async (req, res) => {
   try {
-    const lessons = await publicLessonsCollection
+    const lessons = await lessonsCollection
       .find()
       .sort({ createdAt: -1 })
       .project({ title: 1, category: 1, visibility: 1, accessLevel: 1, createdAt: 1 })
@@ -544,46 +3028,220 @@ app.get("/admin/manage-lessons", async (req, res) => {
   }
 });
 
-app.delete("/admin/lessons/:id", async (req, res) => {
+app.delete("/admin/lessons/:id", verifyAdmin, async (req, res) => {
   try {
     const id = req.params.id;
-    await publicLessonsCollection.deleteOne({ _id: new ObjectId(id) });
-    await myLessonsCollection.deleteOne({ _id: new ObjectId(id) });
+    const before = await lessonsCollection.findOne({ _id: new ObjectId(id) });
+    await lessonsCollection.deleteOne({ _id: new ObjectId(id) });
+    await commentsCollection.deleteMany({ lessonId: new ObjectId(id) });
+    await recordAudit(req, { action: "lesson.delete", target: { type: "lesson", id }, before: lessonAuditSnapshot(before) });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ message: "Failed to delete lesson" });
   }
 });
 
-app.patch("/admin/lessons/access/:id", async (req, res) => {
+app.patch("/admin/lessons/access/:id", verifyAdmin, async (req, res) => {
   try {
     const id = req.params.id;
     const { accessLevel } = req.body;
     if (!["premium", "free"].includes(accessLevel)) return res.status(400).json({ message: "Invalid access level" });
-    await publicLessonsCollection.updateOne({ _id: new ObjectId(id) }, { $set: { accessLevel } });
-    await myLessonsCollection.updateOne({ _id: new ObjectId(id) }, { $set: { accessLevel } });
+    const before = await lessonsCollection.findOne({ _id: new ObjectId(id) }, { projection: { accessLevel: 1 } });
+    await lessonsCollection.updateOne({ _id: new ObjectId(id) }, { $set: { accessLevel } });
+    await recordAudit(req, {
+      action: "lesson.access_change",
+      target: { type: "lesson", id },
+      before: { accessLevel: before?.accessLevel || null },
+      after: { accessLevel },
+    });
     res.json({ success: true });
   } catch (error) {
     res.status(500).json({ message: "Failed to update access" });
   }
 });
 
+/* ---------- ADMIN: REPORTED LESSONS ---------- */
+app.get("/admin/reported-lessons", verifyModerator, async (req, res) => {
+  try {
+    const reported = await reportsCollection.aggregate([
+      { $match: { status: "pending" } },
+      {
+        $group: {
+          _id: { lessonId: "$lessonId", reason: "$reason" },
+          count: { $sum: 1 },
+          reporters: { $addToSet: "$reporter.email" },
+          lastReportedAt: { $max: "$createdAt" },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.lessonId",
+          reasons: { $push: { reason: "$_id.reason", count: "$count" } },
+          reporters: { $push: "$reporters" },
+          totalReports: { $sum: "$count" },
+          lastReportedAt: { $max: "$lastReportedAt" },
+        },
+      },
+      {
+        $addFields: {
+          reporterCount: {
+            $size: { $reduce: { input: "$reporters", initialValue: [], in: { $setUnion: ["$$value", "$$this"] } } },
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: "lessons",
+          localField: "_id",
+          foreignField: "_id",
+          pipeline: [{ $project: { title: 1, category: 1, visibility: 1, accessLevel: 1, creator: 1, createdAt: 1 } }],
+          as: "lesson",
+        },
+      },
+      { $unwind: { path: "$lesson", preserveNullAndEmptyArrays: true } },
+      { $project: { reporters: 0 } },
+      { $sort: { totalReports: -1, lastReportedAt: -1 } },
+    ]).toArray();
+
+    res.json(reported);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to load reported lessons" });
+  }
+});
+
+// Resolve all pending reports of a lesson (body: { action: "dismiss" | "hide" | "delete", note? })
+app.patch("/admin/reported-lessons/:id/resolve", verifyModerator, async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ message: "Invalid lesson id" });
+    const { action, note } = req.body;
+    if (!["dismiss", "hide", "delete"].includes(action)) return res.status(400).json({ message: "Invalid action" });
+
+    const lessonId = new ObjectId(id);
+    const pending = await reportsCollection.countDocuments({ lessonId, status: "pending" });
+    if (!pending) return res.status(404).json({ message: "No pending reports for this lesson" });
+    const before = await lessonsCollection.findOne({ _id: lessonId });
+
+    const resolution = {
+      action,
+      note: note || "",
+      resolvedBy: { email: req.decoded.email, uid: req.decoded.uid },
+      resolvedAt: new Date(),
+    };
+
+    if (action === "dismiss") {
+      await lessonsCollection.updateOne({ _id: lessonId }, { $set: { isReported: false } });
+    } else if (action === "hide") {
+      const moderation = { isReported: false, visibility: "private", hiddenByAdmin: true };
+      await lessonsCollection.updateOne({ _id: lessonId }, { $set: moderation });
+    } else {
+      await lessonsCollection.deleteOne({ _id: lessonId });
+      await commentsCollection.deleteMany({ lessonId });
+    }
+
+    const result = await reportsCollection.updateMany(
+      { lessonId, status: "pending" },
+      { $set: { status: "resolved", resolution } }
+    );
+
+    await recordAudit(req, {
+      action: `report.${action}`,
+      target: { type: "lesson", id: lessonId },
+      before: lessonAuditSnapshot(before),
+      after: action === "delete" ? null : lessonAuditSnapshot({ ...before, ...(action === "hide" ? { visibility: "private" } : {}) }),
+      details: { resolvedReports: result.modifiedCount, note: resolution.note },
+    });
+    res.json({ success: true, resolvedReports: result.modifiedCount, resolution });
+  } catch (error) {
+    console.error("Resolve Report Error:", error);
+    res.status(500).json({ message: "Failed to resolve reports" });
+  }
+});
+
+/* ---------- ADMIN: AUDIT LOG ---------- */
+// Quotes where needed and defuses cells a spreadsheet would read as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const plain = typeof value !== "object" || value instanceof ObjectId || value instanceof Date;
+  let str = plain ? String(value) : JSON.stringify(value);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// GET /admin/audit-log?actor=&action=&targetType=&targetId=&from=&to=&page=1&limit=50&format=json|csv
+app.get("/admin/audit-log", verifyAdmin, async (req, res) => {
+  try {
+    const { actor, action, targetType, targetId, from, to, format } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const query = {};
+    if (actor) query["actor.email"] = actor;
+    if (action) query.action = action;
+    if (targetType) query["target.type"] = targetType;
+    if (targetId) query["target.id"] = ObjectId.isValid(targetId) ? { $in: [targetId, new ObjectId(targetId)] } : targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some((d) => isNaN(d))) {
+        return res.status(400).json({ message: "Invalid date filter" });
+      }
+    }
+
+    const cursor = auditLogCollection.find(query).sort({ createdAt: -1 });
+
+    // CSV exports the whole filtered log, not a single page
+    if (format === "csv") {
+      const header = ["createdAt", "actor", "actorRole", "action", "targetType", "targetId", "targetOwner", "before", "after", "details", "ip"];
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", `attachment; filename="audit-log-${Date.now()}.csv"`);
+      res.write(header.join(",") + "\n");
+      for await (const entry of cursor) {
+        const row = [
+          entry.createdAt.toISOString(),
+          entry.actor?.email,
+          entry.actor?.role,
+          entry.action,
+          entry.target?.type,
+          entry.target?.id,
+          entry.target?.owner,
+          entry.before,
+          entry.after,
+          entry.details,
+          entry.ip,
+        ];
+        res.write(row.map(csvCell).join(",") + "\n");
+      }
+      return res.end();
+    }
+
+    const total = await auditLogCollection.countDocuments(query);
+    const entries = await cursor.skip((page - 1) * limit).limit(limit).toArray();
+    res.json({ entries, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to load audit log" });
+  }
+});
+
 /* ---------- DASHBOARD OVERVIEW ---------- */
 app.get("/dashboard/overview", verifyFirebaseToken, async (req, res) => {
   try {
     const email = req.decoded.email;
-    const totalLessons = await publicLessonsCollection.countDocuments({ "creator.email": email });
-    const favoritesAgg = await publicLessonsCollection.aggregate([{ $match: { "favoritedBy.email": email } }, { $count: "total" }]).toArray();
+    const totalLessons = await lessonsCollection.countDocuments({ "creator.email": email });
+    const favoritesAgg = await lessonsCollection.aggregate([{ $match: { "favoritedBy.email": email } }, { $count: "total" }]).toArray();
     const totalFavorites = favoritesAgg[0]?.total || 0;
 
-    const recentLessons = await publicLessonsCollection
+    const recentLessons = await lessonsCollection
       .find({ "creator.email": email })
       .sort({ createdAt: -1 })
       .limit(5)
       .project({ title: 1, category: 1, createdAt: 1 })
       .toArray();
 
-    const weeklyStats = await publicLessonsCollection.aggregate([
+    const weeklyStats = await lessonsCollection.aggregate([
       { $match: { "creator.email": email, createdAt: { $gte: new Date(new Date().setDate(new Date().getDate() - 7)) } } },
       { $group: { _id: { $dayOfWeek: "$createdAt" }, count: { $sum: 1 } } },
       { $sort: { _id: 1 } },
@@ -599,7 +3257,7 @@ app.get("/dashboard/overview", verifyFirebaseToken, async (req, res) => {
 app.get("/top-contributors", async (req, res) => {
   try {
     const pipeline = [
-      { $match: { visibility: "public" } },
+      { $match: { visibility: "public", ...publishedLessonFilter() } },
       {
         $group: {
           _id: "$creator.name",
@@ -617,7 +3275,7 @@ app.get("/top-contributors", async (req, res) => {
       { $sort: { score: -1 } },
       { $limit: 7 },
     ];
-    const contributors = await publicLessonsCollection.aggregate(pipeline).toArray();
+    const contributors = await lessonsCollection.aggregate(pipeline).toArray();
     res.json(contributors);
   } catch (error) {
     res.status(500).json({ message: "Failed to load contributors" });
@@ -627,11 +3285,11 @@ app.get("/top-contributors", async (req, res) => {
 /* ---------- COMMUNITY STATS ---------- */
 app.get("/community-stats", async (req, res) => {
   try {
-    const totalLessons = await publicLessonsCollection.countDocuments({ visibility: "public" });
+    const totalLessons = await lessonsCollection.countDocuments({ visibility: "public", ...publishedLessonFilter() });
     const totalUsers = await usersCollection.countDocuments();
-    const favoritesAgg = await publicLessonsCollection.aggregate([{ $group: { _id: null, totalFavorites: { $sum: "$favoritesCount" } } }]).toArray();
+    const favoritesAgg = await lessonsCollection.aggregate([{ $group: { _id: null, totalFavorites: { $sum: "$favoritesCount" } } }]).toArray();
     const totalFavorites = favoritesAgg[0]?.totalFavorites || 0;
-    const categories = await publicLessonsCollection.distinct("category");
+    const categories = await lessonsCollection.distinct("category");
     res.json({ totalLessons, totalUsers, totalFavorites, totalCategories: categories.length });
   } catch (error) {
     res.status(500).json({ message: "Failed to load community stats" });
@@ -639,26 +3297,305 @@ app.get("/community-stats", async (req, res) => {
 });
 
 /* ---------- POSTS ---------- */
+// Posts are short community write-ups, optionally pointing at a public lesson.
+// Only these fields are ever stored; the author comes from the token, never from the body.
+const POST_TITLE_MAX_LENGTH = 150;
+const POST_BODY_MAX_LENGTH = 10000;
+const POST_MAX_TAGS = 5;
+const POST_TAG_PATTERN = /^[a-z0-9][a-z0-9-]{0,29}$/;
+
+// Validates a create (or, with partial, an edit) body. Returns { error } or { fields } ready to $set.
+const validatePost = async (body, { partial = false } = {}) => {
+  const fields = {};
+  const { title, body: text, tags, lessonId } = body || {};
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== "string" || !title.trim()) return { error: "Title is required" };
+    if (title.trim().length > POST_TITLE_MAX_LENGTH) return { error: `Title must be at most ${POST_TITLE_MAX_LENGTH} characters` };
+    fields.title = title.trim();
+  }
+  if (text !== undefined || !partial) {
+    if (typeof text !== "string" || !text.trim()) return { error: "Body is required" };
+    if (text.trim().length > POST_BODY_MAX_LENGTH) return { error: `Body must be at most ${POST_BODY_MAX_LENGTH} characters` };
+    fields.body = text.trim();
+  }
+  if (tags !== undefined || !partial) {
+    const list = tags ?? [];
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== "string")) return { error: "Tags must be an array of strings" };
+    const normalized = [...new Set(list.map(tag => tag.trim().toLowerCase()))];
+    if (normalized.length > POST_MAX_TAGS) return { error: `At most ${POST_MAX_TAGS} tags are allowed` };
+    if (normalized.some(tag => !POST_TAG_PATTERN.test(tag))) {
+      return { error: "Tags may only contain lowercase letters, digits and dashes (max 30 characters)" };
+    }
+    fields.tags = normalized;
+  }
+  if (lessonId !== undefined || !partial) {
+    if (lessonId === undefined || lessonId === null || lessonId === "") {
+      fields.lessonId = null;
+    } else {
+      if (!ObjectId.isValid(lessonId)) return { error: "Invalid lesson id" };
+      const lesson = await lessonsCollection.findOne(
+        { _id: new ObjectId(lessonId), visibility: "public", ...publishedLessonFilter() },
+        { projection: { _id: 1 } }
+      );
+      if (!lesson) return { error: "Linked lesson not found" };
+      fields.lessonId = lesson._id;
+    }
+  }
+  return { fields };
+};
+
+// Joins the author's public profile and the linked lesson's summary, and drops any legacy free-form fields
+const postViewStages = () => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "authorEmail",
+      foreignField: "email",
+      pipeline: [{ $project: { _id: 0, name: 1, email: 1, photoURL: 1, photoVariants: 1 } }],
+      as: "author",
+    },
+  },
+  {
+    $lookup: {
+      from: "lessons",
+      let: { lessonId: "$lessonId" },
+      pipeline: [
+        { $match: { $expr: { $eq: ["$_id", "$$lessonId"] }, visibility: "public", ...publishedLessonFilter() } },
+        { $project: { title: 1, image: 1, imageVariants: 1, category: 1 } },
+      ],
+      as: "lesson",
+    },
+  },
+  {
+    $project: {
+      title: 1,
+      body: 1,
+      tags: 1,
+      lessonId: 1,
+      createdAt: 1,
+      updatedAt: 1,
+      author: { $ifNull: [{ $first: "$author" }, null] },
+      lesson: { $ifNull: [{ $first: "$lesson" }, null] },
+    },
+  },
+];
+
+// Loads a post and checks the caller wrote it; sends the error response itself and returns null otherwise
+const findOwnPost = async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ message: "Invalid post id" });
+    return null;
+  }
+  const post = await postsCollection.findOne({ _id: new ObjectId(req.params.id) });
+  if (!post) {
+    res.status(404).json({ message: "Post not found" });
+    return null;
+  }
+  if (post.authorEmail !== req.decoded.email) {
+    res.status(403).json({ message: "Only the author can change this post" });
+    return null;
+  }
+  return post;
+};
+
 app.post("/add-post", verifyFirebaseToken, async (req, res) => {
   try {
-    const post = { ...req.body, authorEmail: req.decoded.email, createdAt: new Date() };
+    const { error, fields } = await validatePost(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const post = { ...fields, authorEmail: req.decoded.email, authorUid: req.decoded.uid, createdAt: new Date(), updatedAt: null };
     const result = await postsCollection.insertOne(post);
-    res.json({ success: true, result });
+    res.status(201).json({ success: true, result, post: { _id: result.insertedId, ...post } });
   } catch (error) {
+    console.error("Add Post Error:", error);
     res.status(500).json({ success: false, message: "Failed to add post" });
   }
 });
 
+// GET /posts?page=1&limit=10&tag=gratitude&author=<email>
 app.get("/posts", async (req, res) => {
   try {
-    const posts = await postsCollection.find().toArray();
-    res.json(posts);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const { tag, author } = req.query;
+
+    const query = {};
+    if (tag) query.tags = String(tag).trim().toLowerCase();
+    if (author) query.authorEmail = String(author);
+
+    const [total, posts] = await Promise.all([
+      postsCollection.countDocuments(query),
+      postsCollection
+        .aggregate([{ $match: query }, { $sort: { createdAt: -1, _id: -1 } }, { $skip: (page - 1) * limit }, { $limit: limit }, ...postViewStages()])
+        .toArray(),
+    ]);
+
+    res.json({ posts, total, page, totalPages: Math.ceil(total / limit) });
   } catch (error) {
+    console.error(error);
     res.status(500).json({ message: "Failed to fetch posts" });
   }
 });
 
+app.get("/posts/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) return res.status(400).json({ message: "Invalid post id" });
+    const [post] = await postsCollection
+      .aggregate([{ $match: { _id: new ObjectId(req.params.id) } }, ...postViewStages()])
+      .toArray();
+    if (!post) return res.status(404).json({ message: "Post not found" });
+    res.json(post);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: "Failed to fetch post" });
+  }
+});
+
+app.patch("/posts/:id", verifyFirebaseToken, async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res);
+    if (!post) return;
+
+    const { error, fields } = await validatePost(req.body, { partial: true });
+    if (error) return res.status(400).json({ message: error });
+    if (!Object.keys(fields).length) return res.status(400).json({ message: "Nothing to update" });
+
+    await postsCollection.updateOne({ _id: post._id }, { $set: { ...fields, updatedAt: new Date() } });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Update Post Error:", error);
+    res.status(500).json({ message: "Failed to update post" });
+  }
+});
+
+app.delete("/posts/:id", verifyFirebaseToken, async (req, res) => {
+  try {
+    const post = await findOwnPost(req, res);
+    if (!post) return;
+
+    await postsCollection.deleteOne({ _id: post._id });
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Delete Post Error:", error);
+    res.status(500).json({ message: "Failed to delete post" });
+  }
+});
+
+/* ---------- FOLLOWS ---------- */
+// One document per (follower, followed creator) pair; the unique index makes a repeat follow a 409
+app.post("/users/:email/follow", verifyFirebaseToken, async (req, res) => {
+  try {
+    const followingEmail = req.params.email;
+    const followerEmail = req.decoded.email;
+    if (followingEmail === followerEmail) return res.status(400).json({ message: "You cannot follow yourself" });
+
+    const creator = await usersCollection.findOne({ email: followingEmail, status: { $ne: "pending_deletion" } });
+    if (!creator) return res.status(404).json({ message: "User not found" });
+
+    try {
+      await followsCollection.insertOne({ followerEmail, followingEmail, createdAt: new Date() });
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ message: "Already following this user" });
+      throw err;
+    }
+
+    const followers = await followsCollection.countDocuments({ followingEmail });
+    res.json({ success: true, following: true, followers });
+  } catch (error) {
+    console.error("Follow Error:", error);
+    res.status(500).json({ message: "Failed to follow user" });
+  }
+});
+
+app.delete("/users/:email/follow", verifyFirebaseToken, async (req, res) => {
+  try {
+    const followingEmail = req.params.email;
+    const result = await followsCollection.deleteOne({ followerEmail: req.decoded.email, followingEmail });
+    if (result.deletedCount === 0) return res.status(404).json({ message: "You are not following this user" });
+
+    const followers = await followsCollection.countDocuments({ followingEmail });
+    res.json({ success: true, following: false, followers });
+  } catch (error) {
+    console.error("Unfollow Error:", error);
+    res.status(500).json({ message: "Failed to unfollow user" });
+  }
+});
+
+/* ---------- FEED ---------- */
+// Public, published lessons and posts from followed creators, newest first.
+// Lessons are dated by when they went live, so a scheduled lesson shows up when it is published.
+const FEED_MAX_FOLLOWING = 1000;
+
+const encodeFeedCursor = (item) =>
+  Buffer.from(JSON.stringify({ t: item.feedAt, id: item._id })).toString("base64url");
 
+const decodeFeedCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const feedAt = new Date(t);
+    if (!ObjectId.isValid(id) || Number.isNaN(feedAt.getTime())) return null;
+    return { feedAt, id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// GET /feed?cursor=<nextCursor>&limit=20
+app.get("/feed", verifyFirebaseToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const cursor = req.query.cursor ? decodeFeedCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) return res.status(400).json({ message: "Invalid cursor" });
+
+    const creators = await followsCollection
+      .find({ followerEmail: req.decoded.email })
+      .sort({ createdAt: -1 })
+      .limit(FEED_MAX_FOLLOWING)
+      .map(follow => follow.followingEmail)
+      .toArray();
+    if (!creators.length) return res.json({ items: [], nextCursor: null });
+
+    const pageStages = [
+      ...(cursor
+        ? [{ $match: { $or: [{ feedAt: { $lt: cursor.feedAt } }, { feedAt: cursor.feedAt, _id: { $lt: cursor.id } }] } }]
+        : []),
+      { $sort: { feedAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+    ];
+
+    // Each source is narrowed to one page before the union, so the merge never scans a creator's full history
+    const items = await lessonsCollection
+      .aggregate([
+        { $match: { "creator.email": { $in: creators }, visibility: "public", ...publishedLessonFilter() } },
+        { $set: { type: "lesson", feedAt: { $ifNull: ["$publishedAt", "$publishAt", "$createdAt"] } } },
+        ...pageStages,
+        ...publicLessonStages,
+        {
+          $unionWith: {
+            coll: "posts",
+            pipeline: [
+              { $match: { authorEmail: { $in: creators } } },
+              { $set: { type: "post", feedAt: "$createdAt" } },
+              ...pageStages,
+              ...postViewStages(),
+              { $set: { type: "post", feedAt: "$createdAt" } },
+            ],
+          },
+        },
+        { $sort: { feedAt: -1, _id: -1 } },
+        { $limit: limit + 1 },
+      ])
+      .toArray();
+
+    const hasMore = items.length > limit;
+    if (hasMore) items.pop();
+    res.json({ items, nextCursor: hasMore ? encodeFeedCursor(items[items.length - 1]) : null });
+  } catch (error) {
+    console.error("Feed Error:", error);
+    res.status(500).json({ message: "Failed to load feed" });
+  }
+});
 
 /* ==============================
    Start Server